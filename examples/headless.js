@@ -0,0 +1,285 @@
+// Headless runner: loads a scene into the MuJoCo WASM module under Node.js, steps it,
+// optionally under an ONNX policy (run with onnxruntime-node), and writes the
+// trajectory in the formats the demo exports. Meant for batch-evaluating policies
+// and regression-testing scenes from the command line:
+//
+//   node examples/headless.js myo_sim/elbow/myo_elbow_combined.xml --steps 2000 --output elbow.csv
+//   node examples/headless.js myo_sim/arm/myoarm_bionic_bimanual.mjb --policy baseline --output rollout.npz
+//
+// A summary of the run is printed to stdout as JSON; MuJoCo's own output goes to
+// stderr. The exit code is 1 if the run fails or the state becomes non-finite.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import load_mujoco from '../dist/mujoco_wasm.js';
+import { RLController } from './rlUtils.js';
+import { PolicyManifest } from './utils/PolicyManifest.js';
+import { TrajectoryRecorder } from './utils/TrajectoryRecorder.js';
+import { toCSV, toNPZ, toMyoSuiteJSON } from './utils/TrajectoryFormats.js';
+
+const EXAMPLES_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+const USAGE = `Usage: node examples/headless.js <scene> [options]
+
+  <scene>                Scene file relative to the scenes directory (.xml or .mjb)
+  --scenes <dir>         Scenes directory (default: examples/scenes)
+  --steps <n>            Physics steps to take (default: 1000)
+  --keyframe <i>         Start from a keyframe instead of the model's initial state
+  --policy <id|file>     Policy id from the manifest, or an .onnx file
+  --spec <file>          Policy spec for an .onnx file (default: next to it, with a .json extension)
+  --manifest <file>      Policy manifest (default: examples/models/manifest.json)
+  --frame-skip <n>       Physics steps per policy step (default: the manifest's, else 10)
+  --sampling <mode>      deterministic or stochastic (default: deterministic)
+  --seed <n>             Seed of the stochastic sampling (default: 0)
+  --output <file>        Write the trajectory; the format follows the extension (.csv, .npz or .json)
+  --help                 Show this message`;
+
+/**
+ * Load the MuJoCo module and copy a scenes directory into its /working file system
+ * @param {string} scenesDir - Directory holding the scenes
+ * @returns {Promise<object>} the MuJoCo module
+ */
+export async function loadMuJoCo(scenesDir) {
+  const mujoco = await load_mujoco({ print: (text) => console.error(text) });
+  mujoco.FS.mkdir('/working');
+  mujoco.FS.mount(mujoco.MEMFS, { root: '.' }, '/working');
+  copyDirectory(mujoco, scenesDir, '/working');
+  return mujoco;
+}
+
+/**
+ * @param {object} mujoco - MuJoCo module, see loadMuJoCo
+ * @param {string} scene - Scene file relative to /working
+ * @returns {{model: object, state: object, simulation: object}}
+ */
+export function loadScene(mujoco, scene) {
+  const filepath = '/working/' + scene;
+  if (!mujoco.FS.analyzePath(filepath).exists) { throw new Error(`Scene ${scene} not found`); }
+  const model = scene.endsWith('.mjb') ? mujoco.Model.load_from_mjb(filepath) : mujoco.Model.load_from_xml(filepath);
+  const state = new mujoco.State(model);
+  const simulation = new mujoco.Simulation(model, state);
+  return { model, state, simulation };
+}
+
+/**
+ * Load a policy into an RLController that runs it with onnxruntime-node
+ * @param {string} modelPath - Path to the ONNX model
+ * @param {string|object} spec - Path to the policy spec, or the parsed spec; defaults to the model path with a .json extension
+ * @param {object} model - MuJoCo model the policy will drive
+ * @param {{sampling: string, seed: number}} options - Action sampling, see RLController.setSampling
+ * @returns {Promise<RLController>}
+ */
+export async function loadPolicy(modelPath, spec, model, { sampling = 'deterministic', seed = 0 } = {}) {
+  const specPath = spec || modelPath.replace(/\.onnx$/, '.json');
+  const controller = new RLController();
+  controller.debug = false;
+  controller.sessionFactory = createNodeSession;
+  controller.setSampling(sampling, seed);
+
+  const bytes = fs.readFileSync(modelPath);
+  const modelFile = { name: modelPath, arrayBuffer: async () => bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength) };
+  const parsedSpec = typeof specPath === 'string' ? JSON.parse(fs.readFileSync(specPath, 'utf8')) : specPath;
+  if (!await controller.loadModel(modelFile, parsedSpec, model)) { throw new Error(controller.lastError); }
+  controller.resetState();
+  return controller;
+}
+
+/**
+ * Step a simulation, running the policy (if any) every `frameSkip` steps and holding its action in between
+ * @param {object} model - MuJoCo model object
+ * @param {object} simulation - MuJoCo simulation object
+ * @param {{steps: number, controller: RLController|null, frameSkip: number, recorder: TrajectoryRecorder|null, scene: string, startTime: number}} options
+ *   `startTime` is the simulation time of the initial state, e.g. the time of the keyframe it was reset to
+ * @returns {Promise<{steps: number, time: number, wallTime: number, policySteps: number, finite: boolean}>} summary of the run;
+ *   `time` is the simulation time it ended at
+ */
+export async function run(model, simulation, { steps, controller = null, frameSkip = 10, recorder = null, scene = '', startTime = 0.0 }) {
+  const timestep = model.getOptions().timestep;
+  frameSkip = Math.max(1, frameSkip);
+  let time = startTime;
+  let policySteps = 0;
+  let finite = true;
+  if (recorder) { recorder.start(simulation, model, time, scene); }
+
+  const start = performance.now();
+  let step = 0;
+  for (; step < steps; step++) {
+    if (controller) {
+      if (step % frameSkip === 0) {
+        const action = await controller.runInference(controller.getInputs(simulation, model, { time }));
+        if (!action) { throw new Error(`Policy inference failed at step ${step}`); }
+        controller.applyAction(simulation, model, action);
+        policySteps++;
+      }
+      controller.holdAction(simulation);
+    }
+    simulation.step();
+    time += timestep;
+    if (recorder) { recorder.record(simulation, time); }
+
+    if (!simulation.qpos.every(Number.isFinite) || !simulation.qvel.every(Number.isFinite)) {
+      console.error(`[Headless] The state became non-finite at step ${step} (t = ${time.toFixed(4)}s)`);
+      finite = false;
+      step++;
+      break;
+    }
+  }
+  if (recorder) { recorder.stop(); }
+  return { steps: step, time, wallTime: (performance.now() - start) / 1000.0, policySteps, finite };
+}
+
+/**
+ * @param {TrajectoryRecorder} recorder - Recorder holding the trajectory
+ * @param {object} model - MuJoCo model object
+ * @param {string} file - Output path; the extension picks the format
+ */
+export function writeTrajectory(recorder, model, file) {
+  const extension = path.extname(file).toLowerCase();
+  if (extension === '.csv') {
+    fs.writeFileSync(file, toCSV(recorder, model));
+  } else if (extension === '.npz') {
+    fs.writeFileSync(file, toNPZ(recorder));
+  } else if (extension === '.json') {
+    fs.writeFileSync(file, toMyoSuiteJSON(recorder));
+  } else {
+    throw new Error(`Unknown trajectory format "${extension}"; expected .csv, .npz or .json`);
+  }
+}
+
+/** Parse the command line, run the scene and print the summary */
+async function main() {
+  const { values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      'scenes': { type: 'string', default: path.join(EXAMPLES_DIR, 'scenes') },
+      'steps': { type: 'string', default: '1000' },
+      'keyframe': { type: 'string' },
+      'policy': { type: 'string' },
+      'spec': { type: 'string' },
+      'manifest': { type: 'string', default: path.join(EXAMPLES_DIR, 'models', 'manifest.json') },
+      'frame-skip': { type: 'string' },
+      'sampling': { type: 'string', default: 'deterministic' },
+      'seed': { type: 'string', default: '0' },
+      'output': { type: 'string' },
+      'help': { type: 'boolean', default: false },
+    }
+  });
+  // Keep stdout for the summary; the modules shared with the demo log their progress with console.log
+  const print = console.log;
+  console.log = console.error;
+
+  if (options.help || positionals.length !== 1) {
+    print(USAGE);
+    process.exitCode = options.help ? 0 : 1;
+    return;
+  }
+  const scene = positionals[0];
+  const steps = parseInteger(options.steps, 'steps');
+
+  const mujoco = await loadMuJoCo(options.scenes);
+  const { model, simulation } = loadScene(mujoco, scene);
+  let startTime = 0.0;
+  if (options.keyframe !== undefined) {
+    const keyframe = parseInteger(options.keyframe, 'keyframe');
+    if (keyframe >= model.nkey) { throw new Error(`The scene has ${model.nkey} keyframes, not ${keyframe + 1}`); }
+    simulation.resetDataKeyframe(keyframe);
+    startTime = model.key_time[keyframe];
+  }
+  simulation.forward();
+
+  // A policy is either listed in the manifest or given as an ONNX file
+  let controller = null;
+  let frameSkip = 10;
+  if (options.policy) {
+    let modelPath = options.policy;
+    let spec = options.spec || null;
+    if (!modelPath.endsWith('.onnx')) {
+      const manifest = new PolicyManifest(JSON.parse(fs.readFileSync(options.manifest, 'utf8')), options.manifest);
+      const entry = manifest.get(options.policy);
+      if (!entry) { throw new Error(`Policy "${options.policy}" is not listed in ${options.manifest}`); }
+      if (entry.scene !== scene) { console.error(`[Headless] Policy "${entry.id}" was made for ${entry.scene}`); }
+      modelPath = entry.model;
+      spec = spec || entry.spec;
+      frameSkip = entry.frameSkip || frameSkip;
+    }
+    controller = await loadPolicy(modelPath, spec, model,
+      { sampling: options.sampling, seed: parseInteger(options.seed, 'seed') });
+  }
+  if (options['frame-skip'] !== undefined) { frameSkip = parseInteger(options['frame-skip'], 'frame-skip'); }
+
+  const recorder = options.output ? new TrajectoryRecorder() : null;
+  const summary = await run(model, simulation, { steps, controller, frameSkip, recorder, scene, startTime });
+  if (recorder) { writeTrajectory(recorder, model, options.output); }
+
+  print(JSON.stringify({
+    scene, policy: options.policy || null, frameSkip: controller ? frameSkip : null, ...summary,
+    realTimeFactor: summary.wallTime > 0 ? (summary.time - startTime) / summary.wallTime : null,
+    output: options.output || null
+  }, null, 2));
+  if (!summary.finite) { process.exitCode = 1; }
+}
+
+/** Run a policy session with onnxruntime-node, with the tensor interface of the inference worker's sessions */
+async function createNodeSession(modelBuffer, options) {
+  let ort;
+  try {
+    // A CommonJS package: its exports are on `default` when imported
+    const module = await import('onnxruntime-node');
+    ort = module.default || module;
+  } catch (error) {
+    throw new Error('Running policies headless needs onnxruntime-node, an optional dependency ("npm install")');
+  }
+  const session = await ort.InferenceSession.create(new Uint8Array(modelBuffer),
+    { graphOptimizationLevel: options.graphOptimizationLevel });
+  return {
+    provider: 'cpu',
+    inputNames: session.inputNames,
+    outputNames: session.outputNames,
+    lastInferenceTime: 0,
+    async run(feeds) {
+      const tensors = {};
+      for (const [name, tensor] of Object.entries(feeds)) {
+        tensors[name] = new ort.Tensor(tensor.type, tensor.data, tensor.dims);
+      }
+      const startTime = performance.now();
+      const outputMap = await session.run(tensors);
+      this.lastInferenceTime = performance.now() - startTime;
+      const outputs = {};
+      for (const [name, tensor] of Object.entries(outputMap)) {
+        outputs[name] = { type: tensor.type, data: tensor.data, dims: tensor.dims };
+      }
+      return outputs;
+    },
+    // onnxruntime-node releases sessions when they are collected; newer versions also offer release()
+    release: async () => { if (session.release) { await session.release(); } }
+  };
+}
+
+/** Copy a directory of the disk into the MuJoCo file system */
+function copyDirectory(mujoco, source, target) {
+  for (const entry of fs.readdirSync(source, { withFileTypes: true })) {
+    const sourcePath = path.join(source, entry.name);
+    const targetPath = target + '/' + entry.name;
+    if (entry.isDirectory()) {
+      if (!mujoco.FS.analyzePath(targetPath).exists) { mujoco.FS.mkdir(targetPath); }
+      copyDirectory(mujoco, sourcePath, targetPath);
+    } else if (entry.isFile()) {
+      mujoco.FS.writeFile(targetPath, fs.readFileSync(sourcePath));
+    }
+  }
+}
+
+/** @returns {number} the option's value as a non-negative integer */
+function parseInteger(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) { throw new Error(`--${name} must be a non-negative integer, got "${value}"`); }
+  return number;
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch((error) => {
+    console.error(`[Headless] ${error.message}`);
+    process.exitCode = 1;
+  });
+}
@@ -2,8 +2,22 @@ import * as THREE from 'three';
 import { GUI } from '../node_modules/three/examples/jsm/libs/lil-gui.module.min.js';
 import { OrbitControls } from '../node_modules/three/examples/jsm/controls/OrbitControls.js';
 import { DragStateManager } from './utils/DragStateManager.js';
-import { setupGUI, downloadExampleScenesFolder, loadSceneFromURL, getPosition, getQuaternion, toMujocoPos, standardNormal } from './mujocoUtils.js';
-import { RLController, isRLSupported } from './rlUtils.js';
+import { SimulationScheduler } from './utils/SimulationScheduler.js';
+import { TrajectoryRecorder } from './utils/TrajectoryRecorder.js';
+import { FrameCapture } from './utils/FrameCapture.js';
+import { MuscleColoring } from './utils/MuscleColoring.js';
+import { PlotPanel } from './utils/PlotPanel.js';
+import { BodyInspector } from './utils/BodyInspector.js';
+import { ContactOverlay } from './utils/ContactOverlay.js';
+import { MocapGizmo } from './utils/MocapGizmo.js';
+import { PhysicsClient } from './utils/PhysicsClient.js';
+import { SceneAssets } from './utils/SceneAssets.js';
+import { AssetCache } from './utils/AssetCache.js';
+import { toCSV, fromCSV, toNPZ, fromNPZ, toMyoSuiteJSON, fromMyoSuiteJSON } from './utils/TrajectoryFormats.js';
+import { setupGUI, loadSceneFromURL, standardNormal } from './mujocoUtils.js';
+import { getPosition, getQuaternion, toMujocoPos } from './utils/Coordinates.js';
+import { RLController, loadPolicyManifest } from './rlUtils.js';
+import { PolicyManifest } from './utils/PolicyManifest.js';
 import load_mujoco from '../dist/mujoco_wasm.js';
 
 const mujoco = await load_mujoco();
@@ -13,7 +27,6 @@ var initialScene = "myo_sim/hand/myo_hand_combined.xml";
 // var initialScene = "myo_sim/arm/myoarm_bionic_bimanual.mjb";
 mujoco.FS.mkdir('/working');
 mujoco.FS.mount(mujoco.MEMFS, { root: '.' }, '/working');
-await downloadExampleScenesFolder(mujoco);
 
 export class MuJoCoDemo {
   constructor() {
@@ -22,6 +35,7 @@ export class MuJoCoDemo {
 
     this.params = {
       scene: initialScene,
+      sceneStatus: "Ready",
       paused: false,
       help: false,
       ctrlnoiserate: 0.0,
@@ -29,22 +43,77 @@ export class MuJoCoDemo {
       keyframeNumber: 0,
       rlControl: false,
       policy: "baseline",
-      rlUpdateInterval: 100
+      rlStatus: "No policy loaded",
+      policyInfo: "",
+      policyValue: "n/a",
+      sampling: "deterministic",
+      samplingSeed: 0,
+      executionProvider: "wasm-threads",
+      frameSkip: 10,
+      realTimeFactor: 1.0,
+      realTimeStatus: "1.00x",
+      physicsWorker: false,
+      recording: false,
+      recordingStatus: "Nothing recorded",
+      playback: false,
+      playbackPaused: false,
+      playbackTime: 0.0,
+      playbackSpeed: 1.0,
+      playbackLoop: true,
+      trajectoryFormat: "csv",
+      capture: false,
+      captureStatus: "Idle",
+      captureFormat: "webm",
+      captureFPS: 30,
+      captureWidth: 1280,
+      captureHeight: 720,
+      captureSupersampling: 2,
+      captureTransparent: false,
+      muscleColoring: "none",
+      colormap: "viridis",
+      showContacts: false,
+      contactForceScale: 0.01,
+      mocapTarget: -1,
+      mocapGizmoMode: "translate",
+      showPlots: false,
+      plotSignal: "",
+      plotFilter: "",
+      plotWindow: 10.0
     };
 
-    this.mujoco_time = 0.0;
-    this.lastRLUpdateTime = 0;
+    this.policyManifest = new PolicyManifest();
+    this.scheduler = new SimulationScheduler();
+    this.nextPolicyStep = 0;         // Physics step count of the next policy tick.
+    this.policyRequest = null;       // The in-flight inference request, if any.
+    this.recorder = new TrajectoryRecorder();
+    this.playbackWallTime = null;    // Animation timestamp of the last playback frame.
+    this.frameCapture = null;        // The running capture, if any.
+    this.captureFrameTime = 0.0;     // Simulation time of the next captured frame (s).
+    this.physicsClient = null;       // Steps the simulation in a worker when enabled.
+    this.muscleColoring = new MuscleColoring();
     this.bodies = {};
     this.lights = {};
     this.tmpVec = new THREE.Vector3();
     this.tmpQuat = new THREE.Quaternion();
+    this.tmpColor = new THREE.Color();
     this.updateGUICallbacks = [];
     this.model = null;
     this.state = null;
     this.simulation = null;
+    this.modelIndex = null;   // ModelIndex of the loaded model, built by loadSceneFromURL
 
     this.container = document.createElement('div');
     document.body.appendChild(this.container);
+    this.plotPanel = new PlotPanel(this.container);
+
+    // Scene files are fetched when a scene is first loaded, and kept in IndexedDB for later
+    // visits; the progress shows at the bottom
+    this.sceneAssets = new SceneAssets(mujoco, './examples/scenes/', AssetCache.supported ? new AssetCache() : null);
+    this.loadingStatus = document.createElement('div');
+    this.loadingStatus.className = 'info bottom';
+    this.loadingStatus.hidden = true;
+    this.loadingStatus.appendChild(document.createElement('div')).className = 'shadow';
+    this.container.appendChild(this.loadingStatus);
 
     this.scene = new THREE.Scene();
     this.scene.name = 'scene';
@@ -61,6 +130,8 @@ export class MuJoCoDemo {
     this.ambientLight.name = 'AmbientLight';
     this.scene.add(this.ambientLight);
 
+    this.contactOverlay = new ContactOverlay(this.scene);
+
     this.renderer = new THREE.WebGLRenderer({ antialias: true });
     this.renderer.setPixelRatio(window.devicePixelRatio);
     this.renderer.setSize(window.innerWidth, window.innerHeight);
@@ -83,49 +154,155 @@ export class MuJoCoDemo {
 
     // Initialize the Drag State Manager.
     this.dragStateManager = new DragStateManager(this.scene, this.renderer, this.camera, this.container.parentElement, this.controls);
+
+    // Double-clicking a body opens the inspector on it.
+    this.bodyInspector = new BodyInspector(this.container, () => this.dragStateManager.deselect());
+    this.dragStateManager.onSelect = (bodyID) => {
+      if (bodyID === null) { this.bodyInspector.close(); } else { this.bodyInspector.inspect(this.model, bodyID); }
+      // Double-clicking a mocap body also puts the gizmo on it
+      if (bodyID !== null && this.mocapGizmo.attach(this.model, bodyID)) { this.params.mocapTarget = bodyID; }
+    };
+
+    // The gizmo for moving mocap targets; pointer-downs on its handles are not body drags.
+    this.mocapGizmo = new MocapGizmo(this.camera, this.renderer.domElement, this.scene, this.controls);
+    this.dragStateManager.isPointerTaken = () => this.mocapGizmo.active;
   }
 
   async init() {
     // Initialize the three.js Scene using the .xml Model in initialScene
+    await this.downloadScene(initialScene);
     [this.model, this.state, this.simulation, this.bodies, this.lights] =
       await loadSceneFromURL(mujoco, initialScene, this);
 
+    // Read the available policies; the GUI and the initial policy come from it
+    try {
+      this.policyManifest = await loadPolicyManifest('./examples/models/manifest.json');
+    } catch (error) {
+      console.error('Failed to load the policy manifest, RL control is unavailable:', error);
+    }
+
     this.gui = new GUI();
     setupGUI(this);
 
     // Load the RL model if the initial scene supports it
-    if (isRLSupported(this.params.scene)) {
-      try {
-        // Point directly to the baseline.onnx file in the models directory
-        const modelPath = `./examples/models/${this.params.policy}.onnx`;
-        console.log(`Attempting to load RL model from: ${modelPath}`);
+    if (this.policyManifest.isSupported(this.params.scene)) {
+      await this.loadPolicy(this.params.policy);
+    }
+  }
 
-        // Use fetch to check if the model file exists before trying to load it
-        try {
-          const response = await fetch(modelPath, { method: 'HEAD' });
-          if (!response.ok) {
-            console.error(`RL model file not found at ${modelPath}`, response.status);
-            return;
-          }
-        } catch (error) {
-          console.error(`Error checking RL model file: ${modelPath}`, error);
-          return;
-        }
+  /**
+   * Load a policy listed in the policy manifest and hot-swap it into the RL controller.
+   * The simulation keeps running (with the previous policy, if any) while it loads.
+   * The new session is checked against the current MuJoCo model before it takes over.
+   * @param {string} policy - Policy id from the manifest
+   * @returns {Promise<boolean>} whether the policy was loaded
+   */
+  async loadPolicy(policy) {
+    const entry = this.policyManifest.get(policy);
+    if (!entry) {
+      console.error(`Policy "${policy}" is not listed in the policy manifest`);
+      this.params.rlStatus = `Error: Unknown policy ${policy}`;
+      return false;
+    }
+    console.log(`Attempting to load RL model from: ${entry.model.name || entry.model}`);
+    this.params.rlStatus = `Loading ${entry.name}...`;
+
+    this.rlController.setExecutionProvider(this.params.executionProvider);
+    const modelLoaded = await this.rlController.loadModel(entry.model, entry.spec, this.model);
+    console.log(`RL model ${modelLoaded ? 'successfully loaded' : 'failed to load'}`);
+
+    if (modelLoaded) {
+      this.params.rlStatus = `Ready: ${entry.name} (${this.rlController.session.provider})`;
+      this.params.policyInfo = [entry.description, entry.author && `by ${entry.author}`].filter(Boolean).join(', ');
+      this.params.policyValue = "n/a";
+      if (entry.frameSkip) { this.params.frameSkip = entry.frameSkip; }
+
+      // Get and display model diagnostics to help troubleshoot issues
+      console.log('Running model diagnostics:');
+      const diagnostics = this.rlController.getModelDiagnostics();
+      console.log('Model input shape:', diagnostics.inputShapes);
+      console.log('Model output shape:', diagnostics.outputShapes);
+    } else if (this.rlController.lastError) {
+      // A newer request superseded this one when there is no error; leave its status alone
+      this.params.rlStatus = `Error: ${this.rlController.lastError}`;
+    }
+    return modelLoaded;
+  }
 
-        // Once we've confirmed the file exists, try to load it
-        const modelLoaded = await this.rlController.loadModel(modelPath);
-        console.log(`RL model ${modelLoaded ? 'successfully loaded' : 'failed to load'}`);
+  /**
+   * Load a user's own policy (e.g. dropped onto the canvas) and, if it fits the current scene, register it as a
+   * selectable policy for the rest of the session.
+   * @param {File[]} files - An .onnx model and, optionally, a .json policy spec; without a spec the policy is assumed
+   *   to share the layout of the scene's first listed policy
+   * @returns {Promise<boolean>} whether the policy was loaded and registered
+   */
+  async loadUserPolicy(files) {
+    const modelFile = files.find(file => file.name.toLowerCase().endsWith('.onnx'));
+    const specFile = files.find(file => file.name.toLowerCase().endsWith('.json'));
+    const fail = (message) => {
+      console.error(`[User Policy] ${message}`);
+      this.params.rlStatus = `Error: ${message}`;
+      return false;
+    };
+    if (!modelFile) { return fail('Expected an .onnx model, optionally with a .json policy spec'); }
 
-        // Get and display model diagnostics to help troubleshoot issues
-        if (modelLoaded) {
-          console.log('Running model diagnostics:');
-          const diagnostics = this.rlController.getModelDiagnostics();
-          console.log('Model input shape:', diagnostics.inputShapes);
-          console.log('Model output shape:', diagnostics.outputShapes);
-        }
+    let spec = null;
+    if (specFile) {
+      try {
+        spec = JSON.parse(await specFile.text());
       } catch (error) {
-        console.error('Failed to load RL model:', error);
+        return fail(`Invalid policy spec ${specFile.name}: ${error.message}`);
+      }
+    } else {
+      const scenePolicies = this.policyManifest.policiesForScene(this.params.scene);
+      if (scenePolicies.length === 0) {
+        return fail(`No policy spec for this scene; drop a .json spec together with ${modelFile.name}`);
       }
+      spec = scenePolicies[0].spec;
+    }
+
+    const entry = {
+      id: `user:${modelFile.name}`,
+      name: `${modelFile.name} (local)`,
+      scene: this.params.scene,
+      model: modelFile,
+      spec,
+      description: specFile ? `Local file, spec from ${specFile.name}` : 'Local file',
+      author: ''
+    };
+
+    // Register it while loading so loadPolicy can find it; keep it only if it fits the scene
+    const previous = this.policyManifest.get(entry.id);
+    this.policyManifest.remove(entry.id);
+    this.policyManifest.add(entry);
+    const loaded = await this.loadPolicy(entry.id);
+    if (!loaded) {
+      this.policyManifest.remove(entry.id);
+      if (previous) { this.policyManifest.add(previous); }
+      return false;
+    }
+
+    const diagnostics = this.rlController.getModelDiagnostics();
+    console.log(`[User Policy] Registered ${entry.name}: input ${JSON.stringify(diagnostics.inputShapes)}, ` +
+      `output ${JSON.stringify(diagnostics.outputShapes)}`);
+    this.params.policy = entry.id;
+    return true;
+  }
+
+  /**
+   * Fetch the files of a scene that are not in /working yet, showing the progress
+   * @param {string} scene - Scene path relative to the scenes folder
+   */
+  async downloadScene(scene) {
+    const status = this.loadingStatus.firstChild;
+    status.textContent = `Loading ${scene}...`;
+    this.loadingStatus.hidden = false;
+    try {
+      await this.sceneAssets.load(scene, ({ loaded, total }) => {
+        status.textContent = `Loading ${scene}: ${loaded}/${total} files`;
+      });
+    } finally {
+      this.loadingStatus.hidden = true;
     }
   }
 
@@ -135,63 +312,370 @@ export class MuJoCoDemo {
     this.renderer.setSize(window.innerWidth, window.innerHeight);
   }
 
-  async updateRLControl(timeMS) {
-    // Check if RL control is enabled and enough time has passed since the last update
-    if (!this.params.rlControl ||
-      timeMS - this.lastRLUpdateTime < this.params.rlUpdateInterval ||
-      !this.rlController.isModelLoaded) {
-      return;
+  /**
+   * Advance the policy schedule before a physics step. At every policy tick (every
+   * `frameSkip` physics steps) the current observation is sent to the inference worker; physics does not advance past the tick until the
+   * resulting action has arrived, so rollouts do not depend on inference latency.
+   * Between ticks the last action is held constant (zero-order hold).
+   * @returns {boolean} whether the simulation may take its next step
+   */
+  updateRLControl() {
+    if (!this.params.rlControl || !this.rlController.isModelLoaded) {
+      this.resetPolicySchedule();
+      return true;
     }
 
     try {
-      const observation = this.rlController.getObservation(this.simulation, this.model);
-      const action = await this.rlController.runInference(observation);
-
-      if (action) {
-        this.rlController.applyAction(this.simulation, action);
-
-        // Update the sliders in the GUI to reflect the new control values
-        for (let i = 0; i < this.simulation.ctrl.length; i++) {
-          // Get the actual actuator name from the model
-          const textDecoder = new TextDecoder("utf-8");
-          const nullChar = textDecoder.decode(new ArrayBuffer(1));
-          const actuatorName = textDecoder.decode(
-            this.model.names.subarray(this.model.name_actuatoradr[i])
-          ).split(nullChar)[0];
-
-          if (this.params[actuatorName] !== undefined) {
-            // Ensure the value is within the valid range
-            const ctrlValue = this.simulation.ctrl[i];
-            const actRange = this.model.actuator_ctrlrange;
-            if (actRange && i * 2 + 1 < actRange.length) {
-              const minValue = actRange[i * 2];
-              const maxValue = actRange[i * 2 + 1];
-              // Clamp the value to the actuator's range
-              const clampedValue = Math.max(minValue, Math.min(maxValue, ctrlValue));
-              this.params[actuatorName] = clampedValue;
-            } else {
-              this.params[actuatorName] = ctrlValue;
-            }
-          }
+      if (this.scheduler.stepCount >= this.nextPolicyStep) {
+        if (!this.policyRequest) {
+          // A request dropped by a reset may still be running; let it drain first
+          if (this.rlController.pendingInference) { return false; }
+
+          const observations = this.rlController.getInputs(this.simulation, this.model,
+            { time: this.scheduler.time });
+          const request = { done: false, action: null, error: null };
+          this.rlController.runInference(observations).then(
+            (action) => { request.action = action; request.done = true; },
+            (error) => { request.error = error; request.done = true; });
+          this.policyRequest = request;
+        }
+
+        // Wait for the action of this tick before stepping any further
+        if (!this.policyRequest.done) { return false; }
+
+        const { action, error } = this.policyRequest;
+        this.policyRequest = null;
+        if (error) { throw error; }
+        if (action) {
+          // Map the action onto ctrl and update the actuator sliders to match
+          this.rlController.applyAction(this.simulation, this.model, action, this.params);
+          const value = this.rlController.lastValue;
+          this.params.policyValue = value === null ? "n/a" : value.toFixed(3);
         }
+        this.nextPolicyStep += Math.max(1, this.params.frameSkip);
       }
-      this.lastRLUpdateTime = timeMS;
+
+      this.rlController.holdAction(this.simulation);
     } catch (error) {
+      // Observation/model mismatches are not recoverable; stop instead of failing every frame.
       console.error('[RL Control] Error:', error);
+      this.params.rlStatus = `Error: ${error.message}`;
+      this.params.rlControl = false;
+    }
+    return true;
+  }
+
+  /** Restart the policy schedule at the current physics step, drop any pending action and start a new episode */
+  resetPolicySchedule() {
+    this.nextPolicyStep = this.scheduler.stepCount;
+    this.policyRequest = null;
+    this.rlController.resetHold();
+    this.rlController.resetState();
+  }
+
+  /**
+   * Start or stop recording the state after every physics step
+   * @param {boolean} recording - Whether to record; starting discards the previous recording
+   */
+  setRecording(recording) {
+    if (recording) {
+      if (this.params.playback) { this.setPlayback(false); }
+      this.recorder.start(this.simulation, this.model, this.scheduler.time, this.params.scene);
+    } else {
+      this.recorder.stop();
+    }
+    this.params.recording = recording;
+    this.params.recordingStatus = this.recorder.length > 0 ?
+      `${this.recorder.length} frames, ${this.recorder.duration.toFixed(2)}s` : "Nothing recorded";
+  }
+
+  /**
+   * Enter or leave playback of the recording. During playback the simulation shows recorded
+   * frames instead of stepping; on leaving, it continues from the frame shown.
+   * @param {boolean} playback - Whether to play back
+   * @returns {boolean} whether playback is on
+   */
+  setPlayback(playback) {
+    if (playback) {
+      if (this.recorder.recording) { this.setRecording(false); }
+      if (this.recorder.length === 0) {
+        console.warn('[Playback] Nothing recorded yet');
+        playback = false;
+      } else {
+        try {
+          this.recorder.apply(this.simulation, this.model, 0);
+        } catch (error) {
+          console.error('[Playback]', error.message);
+          playback = false;
+        }
+      }
+      this.params.playbackTime = 0.0;
+      this.params.playbackPaused = false;
+      this.playbackWallTime = null;
+    } else if (this.params.playback) {
+      // The state jumped; the policy starts over from the frame shown
+      this.resetPolicySchedule();
+    }
+    this.params.playback = playback;
+    return playback;
+  }
+
+  /**
+   * Serialise the recording for download
+   * @param {string} format - "csv", "npz" or "json" (MyoSuite rollout layout)
+   * @returns {{blob: Blob, filename: string}|null} the file, or null if nothing was recorded
+   */
+  exportTrajectory(format) {
+    if (this.recorder.recording) { this.setRecording(false); }
+    if (this.recorder.length === 0) {
+      console.warn('[Trajectory] Nothing recorded yet');
+      return null;
+    }
+    const name = this.recorder.scene.split('/').pop().replace(/\.[^.]*$/, '') + '_trajectory';
+    if (format === 'csv') {
+      return { blob: new Blob([toCSV(this.recorder, this.model)], { type: 'text/csv' }), filename: `${name}.csv` };
+    } else if (format === 'npz') {
+      return { blob: new Blob([toNPZ(this.recorder)], { type: 'application/zip' }), filename: `${name}.npz` };
+    } else if (format === 'json') {
+      return { blob: new Blob([toMyoSuiteJSON(this.recorder)], { type: 'application/json' }), filename: `${name}.json` };
+    }
+    throw new Error(`Unknown trajectory format "${format}"`);
+  }
+
+  /**
+   * Replace the recording with a trajectory file for the current scene and play it back
+   * @param {File} file - .csv, .npz or MyoSuite rollout .json, as written by exportTrajectory or by Python
+   * @returns {Promise<boolean>} whether the trajectory was loaded
+   */
+  async importTrajectory(file) {
+    try {
+      const extension = file.name.split('.').pop().toLowerCase();
+      let trajectory;
+      if (extension === 'csv') {
+        trajectory = fromCSV(await file.text());
+      } else if (extension === 'npz') {
+        trajectory = await fromNPZ(await file.arrayBuffer());
+      } else if (extension === 'json') {
+        trajectory = fromMyoSuiteJSON(await file.text());
+      } else {
+        throw new Error('Expected a .csv, .npz or .json trajectory');
+      }
+      this.stopRecordingAndPlayback();
+      this.recorder.load(trajectory, this.model, this.params.scene);
+    } catch (error) {
+      console.error(`[Trajectory] Failed to import ${file.name}:`, error);
+      this.params.recordingStatus = `Error: ${error.message}`;
+      return false;
+    }
+    console.log(`[Trajectory] Imported ${this.recorder.length} frames from ${file.name}`);
+    this.params.recordingStatus = `${this.recorder.length} frames, ${this.recorder.duration.toFixed(2)}s`;
+    return this.setPlayback(true);
+  }
+
+  /** Stop recording and playback, e.g. when the simulation is reset or reloaded */
+  stopRecordingAndPlayback() {
+    if (this.recorder.recording) { this.setRecording(false); }
+    this.params.playback = false;
+  }
+
+  /**
+   * Advance the playback time by `elapsed` seconds, scaled by the playback speed, and show the recorded
+   * frame at it. Physics is not stepped; `forward()` recomputes the derived quantities.
+   * @param {number} elapsed - Time since the last playback frame (s)
+   */
+  updatePlayback(elapsed) {
+    const duration = this.recorder.duration;
+    if (!this.params.playbackPaused) {
+      let time = this.params.playbackTime + elapsed * this.params.playbackSpeed;
+      if (time > duration) {
+        if (this.params.playbackLoop && duration > 0) {
+          time %= duration;
+        } else {
+          time = duration;
+          this.params.playbackPaused = true;
+        }
+      }
+      this.params.playbackTime = time;
+    }
+
+    this.recorder.apply(this.simulation, this.model, this.recorder.indexAt(Math.min(this.params.playbackTime, duration)));
+    this.simulation.forward();
+  }
+
+  /**
+   * Start or stop capturing frames at a fixed simulation-time rate, with the settings in `params`.
+   * Capturing runs the simulation (or playback) exactly 1/fps seconds per captured frame, however
+   * long each frame takes to render; frames are only taken while the simulation advances.
+   * @param {boolean} capturing - Whether to capture
+   * @returns {Promise<{blob: Blob, filename: string}|null>} the encoded capture when stopping, otherwise null
+   */
+  async setCapture(capturing) {
+    if (capturing) {
+      if (this.frameCapture) { return null; }
+      try {
+        this.frameCapture = new FrameCapture(this.renderer, {
+          format: this.params.captureFormat,
+          fps: this.params.captureFPS,
+          width: this.params.captureWidth,
+          height: this.params.captureHeight,
+          supersampling: this.params.captureSupersampling,
+          transparent: this.params.captureTransparent
+        });
+      } catch (error) {
+        console.error('[Capture] Failed to start:', error);
+        this.params.captureStatus = `Error: ${error.message}`;
+        this.params.capture = false;
+        return null;
+      }
+      this.captureFrameTime = this.scheduler.time;
+      this.params.capture = true;
+      this.params.captureStatus = "0 frames";
+      return null;
+    }
+
+    const capture = this.frameCapture;
+    this.frameCapture = null;
+    this.params.capture = false;
+    if (!capture) { return null; }
+    this.params.captureStatus = `Encoding ${capture.frameCount} frames...`;
+    try {
+      const result = await capture.finish();
+      console.log(`[Capture] Captured ${capture.frameCount} frames (${(capture.frameCount / capture.fps).toFixed(2)}s)`);
+      this.params.captureStatus = `${capture.frameCount} frames saved`;
+      return capture.frameCount > 0 ? result : null;
+    } catch (error) {
+      console.error('[Capture] Failed to encode:', error);
+      this.params.captureStatus = `Error: ${error.message}`;
+      return null;
+    }
+  }
+
+  /** @returns {string|null} the feature in use that drives the main-thread simulation, if any */
+  needsMainThreadPhysics() {
+    if (this.params.rlControl) { return 'RL control'; }
+    if (this.params.playback) { return 'Playback'; }
+    if (this.recorder.recording) { return 'Recording'; }
+    if (this.frameCapture !== null) { return 'Capture'; }
+    return null;
+  }
+
+  /**
+   * Move physics stepping to a worker, or back to the main thread. In the worker the simulation
+   * steps without blocking rendering; the render loop draws the snapshots it publishes. Policies,
+   * recording, playback, capture and the mocap gizmo need the main-thread simulation; the
+   * plots, inspector and contact overlay read the snapshots too.
+   * @param {boolean} enabled - Whether to step in a worker
+   * @returns {Promise<boolean>} whether physics runs in the worker afterwards
+   */
+  async setPhysicsWorker(enabled) {
+    if (enabled === (this.physicsClient !== null)) { return enabled; }
+    if (!enabled) {
+      const time = this.physicsClient.stop(this.simulation);
+      this.physicsClient = null;
+      this.simulation.forward();
+      this.scheduler.reset();
+      this.scheduler.time = time;
+      this.params.physicsWorker = false;
+      return false;
     }
+
+    if (!PhysicsClient.supported) {
+      console.warn('[Physics] Stepping in a worker needs SharedArrayBuffer, i.e. a cross-origin isolated page (see doc/LocalTest.md)');
+      this.params.physicsWorker = false;
+      return false;
+    }
+    const mainThreadFeature = this.needsMainThreadPhysics();
+    if (mainThreadFeature) {
+      console.warn(`[Physics] ${mainThreadFeature} needs the main-thread simulation; stop it before stepping in a worker`);
+      this.params.physicsWorker = false;
+      return false;
+    }
+    const client = new PhysicsClient();
+    try {
+      await client.start(this.mujoco, this.params.scene, this.model, this.simulation, this.scheduler.time);
+    } catch (error) {
+      console.error('[Physics] Failed to start the physics worker:', error);
+      this.params.physicsWorker = false;
+      return false;
+    }
+    this.mocapGizmo.detach();
+    this.physicsClient = client;
+    this.params.physicsWorker = true;
+    return true;
+  }
+
+  /** Exchange state with the physics worker: send the controls and drag force, read the latest snapshot */
+  updatePhysicsWorker() {
+    const client = this.physicsClient;
+    // The actuator sliders write the controls into the main-thread simulation
+    client.update({ paused: this.params.paused, realTimeFactor: this.params.realTimeFactor, ctrl: this.simulation.ctrl });
+
+    let dragged = this.dragStateManager.physicsObject;
+    if (dragged && dragged.bodyID && !this.params.paused) {
+      this.dragStateManager.update(); // Update the world-space force origin
+      let force = toMujocoPos(this.dragStateManager.currentWorld.clone().sub(this.dragStateManager.worldHit).multiplyScalar(250));
+      let point = toMujocoPos(this.dragStateManager.worldHit.clone());
+      client.perturb(dragged.bodyID, force, point);
+    } else {
+      client.perturb(null);
+    }
+
+    client.sync();
+    this.scheduler.time = client.state.time;
+    this.params.realTimeStatus = client.status();
   }
 
   render(timeMS) {
     this.controls.update();
 
-    if (!this.params["paused"]) {
+    // Policies, recording, playback and capture bring physics back to the main thread
+    const mainThreadFeature = this.physicsClient ? this.needsMainThreadPhysics() : null;
+    if (mainThreadFeature) {
+      console.warn(`[Physics] ${mainThreadFeature} needs the main-thread simulation; stepping there again`);
+      this.setPhysicsWorker(false);
+    }
+
+    // Pose the mocap target the gizmo was moved to; playback owns the state.
+    if (!this.params.playback && !this.physicsClient) { this.mocapGizmo.update(this.model, this.simulation, this.params.paused); }
+
+    // While capturing, time advances by one capture frame per captured frame instead of with the wall clock
+    const capture = this.frameCapture;
+    let captureDue = false;
+
+    if (this.physicsClient) {
+      this.scheduler.hold(timeMS);
+      this.updatePhysicsWorker();
+    } else if (this.params.playback) {
+      this.scheduler.hold(timeMS);
+      let elapsed = 0.0;
+      if (capture) {
+        captureDue = capture.ready(timeMS);
+        if (captureDue && this.playbackWallTime !== null) { elapsed = 1.0 / capture.fps; }
+      } else if (this.playbackWallTime !== null) {
+        elapsed = (timeMS - this.playbackWallTime) / 1000.0;
+      }
+      this.playbackWallTime = timeMS;
+      this.updatePlayback(elapsed);
+    } else if (!this.params["paused"]) {
       let timestep = this.model.getOptions().timestep;
-      if (timeMS - this.mujoco_time > 35.0) { this.mujoco_time = timeMS; }
+      if (capture) {
+        // Start over from the current time if the simulation was reset
+        if (this.captureFrameTime > this.scheduler.time + 1.0 / capture.fps + timestep) {
+          this.captureFrameTime = this.scheduler.time;
+        }
+        this.scheduler.beginFixedFrame(this.captureFrameTime);
+      } else {
+        this.scheduler.realTimeFactor = this.params.realTimeFactor;
+        this.scheduler.beginFrame(timeMS);
+      }
 
-      // Update RL control if enabled
-      this.updateRLControl(timeMS);
+      while (this.scheduler.shouldStep(timestep)) {
 
-      while (this.mujoco_time < timeMS) {
+        // Run the policy if enabled; hold physics while its action is pending
+        if (!this.updateRLControl()) {
+          this.scheduler.stall();
+          break;
+        }
 
         // Jitter the control state with gaussian random noise
         if (this.params["ctrlnoisestd"] > 0.0) {
@@ -200,7 +684,9 @@ export class MuJoCoDemo {
           let currentCtrl = this.simulation.ctrl;
           for (let i = 0; i < currentCtrl.length; i++) {
             currentCtrl[i] = rate * currentCtrl[i] + scale * standardNormal();
-            this.params["Actuator " + i] = currentCtrl[i];
+            // Keep the actuator slider (keyed by the actuator's name) in sync
+            let name = this.modelIndex.name('actuator', i);
+            if (this.params[name] !== undefined) { this.params[name] = currentCtrl[i]; }
           }
         }
 
@@ -220,16 +706,29 @@ export class MuJoCoDemo {
           let force = toMujocoPos(this.dragStateManager.currentWorld.clone().sub(this.dragStateManager.worldHit).multiplyScalar(250));
           let point = toMujocoPos(this.dragStateManager.worldHit.clone());
           this.simulation.applyForce(force.x, force.y, force.z, 0, 0, 0, point.x, point.y, point.z, bodyID);
-
-          // TODO: Apply pose perturbations (mocap bodies only).
         }
 
         this.simulation.step();
+        this.scheduler.stepped(timestep);
+        if (this.recorder.recording) { this.recorder.record(this.simulation, this.scheduler.time); }
+      }
+
+      if (this.recorder.recording) {
+        this.params.recordingStatus = `${this.recorder.length} frames, ${this.recorder.duration.toFixed(2)}s`;
+      }
 
-        this.mujoco_time += timestep * 1000.0;
+      if (capture) {
+        // Take the frame once the simulation has reached it
+        captureDue = this.scheduler.pending < timestep && capture.ready(timeMS);
+        if (captureDue) { this.captureFrameTime += 1.0 / capture.fps; }
+      } else {
+        // Report the achieved speed instead of silently dropping steps
+        this.scheduler.endFrame(timestep);
+        this.params.realTimeStatus = this.scheduler.status();
       }
 
     } else if (this.params["paused"]) {
+      this.scheduler.hold(timeMS);
       this.dragStateManager.update(); // Update the world-space force origin
       let dragged = this.dragStateManager.physicsObject;
       if (dragged && dragged.bodyID) {
@@ -261,11 +760,21 @@ export class MuJoCoDemo {
       this.simulation.forward();
     }
 
+    // Draw from the worker's latest snapshot when physics runs there.
+    const data = this.physicsClient ? this.physicsClient.state : this.simulation;
+
+    // Sample the plotted signals; during playback, at the recorded time.
+    this.plotPanel.sample(data,
+      this.params.playback ? this.recorder.startTime + this.params.playbackTime : this.scheduler.time);
+    this.plotPanel.draw();
+    this.bodyInspector.update(this.model, data);
+    this.contactOverlay.update(data);
+
     // Update body transforms.
     for (let b = 0; b < this.model.nbody; b++) {
       if (this.bodies[b]) {
-        getPosition(this.simulation.xpos, b, this.bodies[b].position);
-        getQuaternion(this.simulation.xquat, b, this.bodies[b].quaternion);
+        getPosition(data.xpos, b, this.bodies[b].position);
+        getQuaternion(data.xquat, b, this.bodies[b].quaternion);
         this.bodies[b].updateWorldMatrix();
       }
     }
@@ -273,8 +782,8 @@ export class MuJoCoDemo {
     // Update light transforms.
     for (let l = 0; l < this.model.nlight; l++) {
       if (this.lights[l]) {
-        getPosition(this.simulation.light_xpos, l, this.lights[l].position);
-        getPosition(this.simulation.light_xdir, l, this.tmpVec);
+        getPosition(data.light_xpos, l, this.lights[l].position);
+        getPosition(data.light_xdir, l, this.tmpVec);
         this.lights[l].lookAt(this.tmpVec.add(this.lights[l].position));
       }
     }
@@ -283,24 +792,33 @@ export class MuJoCoDemo {
     let numWraps = 0;
     if (this.mujocoRoot && this.mujocoRoot.cylinders) {
       let mat = new THREE.Matrix4();
+      this.muscleColoring.update(this.model, data);
       for (let t = 0; t < this.model.ntendon; t++) {
-        let startW = this.simulation.ten_wrapadr[t];
+        let startW = data.ten_wrapadr[t];
         let r = this.model.tendon_width[t];
-        for (let w = startW; w < startW + this.simulation.ten_wrapnum[t] - 1; w++) {
-          let tendonStart = getPosition(this.simulation.wrap_xpos, w, new THREE.Vector3());
-          let tendonEnd = getPosition(this.simulation.wrap_xpos, w + 1, new THREE.Vector3());
+        let color = this.muscleColoring.tendonColor(t, this.tmpColor);
+        for (let w = startW; w < startW + data.ten_wrapnum[t] - 1; w++) {
+          let tendonStart = getPosition(data.wrap_xpos, w, new THREE.Vector3());
+          let tendonEnd = getPosition(data.wrap_xpos, w + 1, new THREE.Vector3());
           let tendonAvg = new THREE.Vector3().addVectors(tendonStart, tendonEnd).multiplyScalar(0.5);
 
           let validStart = tendonStart.length() > 0.01;
           let validEnd = tendonEnd.length() > 0.01;
 
-          if (validStart) { this.mujocoRoot.spheres.setMatrixAt(numWraps, mat.compose(tendonStart, new THREE.Quaternion(), new THREE.Vector3(r, r, r))); }
-          if (validEnd) { this.mujocoRoot.spheres.setMatrixAt(numWraps + 1, mat.compose(tendonEnd, new THREE.Quaternion(), new THREE.Vector3(r, r, r))); }
+          if (validStart) {
+            this.mujocoRoot.spheres.setMatrixAt(numWraps, mat.compose(tendonStart, new THREE.Quaternion(), new THREE.Vector3(r, r, r)));
+            this.mujocoRoot.spheres.setColorAt(numWraps, color);
+          }
+          if (validEnd) {
+            this.mujocoRoot.spheres.setMatrixAt(numWraps + 1, mat.compose(tendonEnd, new THREE.Quaternion(), new THREE.Vector3(r, r, r)));
+            this.mujocoRoot.spheres.setColorAt(numWraps + 1, color);
+          }
           if (validStart && validEnd) {
             mat.compose(tendonAvg, new THREE.Quaternion().setFromUnitVectors(
               new THREE.Vector3(0, 1, 0), tendonEnd.clone().sub(tendonStart).normalize()),
               new THREE.Vector3(r, tendonStart.distanceTo(tendonEnd), r));
             this.mujocoRoot.cylinders.setMatrixAt(numWraps, mat);
+            this.mujocoRoot.cylinders.setColorAt(numWraps, color);
             numWraps++;
           }
         }
@@ -309,10 +827,18 @@ export class MuJoCoDemo {
       this.mujocoRoot.spheres.count = numWraps > 0 ? numWraps + 1 : 0;
       this.mujocoRoot.cylinders.instanceMatrix.needsUpdate = true;
       this.mujocoRoot.spheres.instanceMatrix.needsUpdate = true;
+      this.mujocoRoot.cylinders.instanceColor.needsUpdate = true;
+      this.mujocoRoot.spheres.instanceColor.needsUpdate = true;
     }
 
     // Render!
     this.renderer.render(this.scene, this.camera);
+
+    if (captureDue) {
+      capture.captureFrame(this.scene, this.camera, timeMS);
+      this.params.captureStatus = `${capture.frameCount} frames, ${(capture.frameCount / capture.fps).toFixed(2)}s` +
+        (capture.behind ? ' (video slower than real time)' : '');
+    }
   }
 }
 
@@ -8,19 +8,45 @@ filename = 'baseline' # Change this to the filename of the model you want to con
 
 
 
+class OnnxablePolicy(torch.nn.Module):
+    """Exports the Gaussian policy's mean action, log standard deviation and value estimate.
+    Exporting model.policy directly bakes the action sampling into the graph (unseeded);
+    with these outputs the demo can act deterministically or sample with a seeded RNG."""
+
+    def __init__(self, policy):
+        super().__init__()
+        self.policy = policy
+
+    def forward(self, obs):
+        # Same as ActorCriticPolicy.forward, up to the action distribution
+        features = self.policy.extract_features(obs)
+        if self.policy.share_features_extractor:
+            latent_pi, latent_vf = self.policy.mlp_extractor(features)
+        else:
+            pi_features, vf_features = features
+            latent_pi = self.policy.mlp_extractor.forward_actor(pi_features)
+            latent_vf = self.policy.mlp_extractor.forward_critic(vf_features)
+        mean = self.policy.action_net(latent_pi)
+        log_std = self.policy.log_std.expand_as(mean)
+        value = self.policy.value_net(latent_vf)
+        return mean, log_std, value
+
+
 model = PPO.load(os.path.join(CUR_DIR, filename + '.zip'), device='cpu')
 print('Model loaded successfully')
 
-# Export the policy model to ONNX
+# Export the policy model to ONNX. The output names are the ones the demo binds by default
+# (see examples/utils/PolicyBinding.js).
 dummy_input = torch.randn(1, model.policy.observation_space.shape[0])  # Example input
 torch.onnx.export(
-    model.policy,
+    OnnxablePolicy(model.policy),
     dummy_input,
     os.path.join(CUR_DIR, filename + ".onnx"),
     export_params=True,
     opset_version=11,  # Ensure compatibility with TensorFlow.js
     input_names=["obs"],  # Input name
-    output_names=["action"],  # Output name
-    dynamic_axes={"obs": {0: "batch_size"}, "action": {0: "batch_size"}}
+    output_names=["action", "log_std", "value"],  # Mean action, log standard deviation, value estimate
+    dynamic_axes={"obs": {0: "batch_size"}, "action": {0: "batch_size"},
+                  "log_std": {0: "batch_size"}, "value": {0: "batch_size"}}
 )
 print(f'Saved model in SavedModel format')
\ No newline at end of file
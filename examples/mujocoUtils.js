@@ -1,16 +1,32 @@
 import * as THREE from 'three';
 import { Reflector } from './utils/Reflector.js';
 import { MuJoCoDemo } from './main.js';
+import { EXECUTION_PROVIDERS } from './rlUtils.js';
+import { MuscleColoring } from './utils/MuscleColoring.js';
+import { ModelIndex } from './utils/ModelIndex.js';
+import { getPosition, getQuaternion } from './utils/Coordinates.js';
 
 export async function reloadFunc() {
+  // The current scene keeps running while the new one downloads
+  await this.downloadScene(this.params.scene);
+  this.bodyInspector.close();
+  this.dragStateManager.deselect();
+  this.mocapGizmo.detach();
+  // The worker holds the old model; restart it on the new one
+  const inWorker = this.physicsClient !== null;
+  if (inWorker) { await this.setPhysicsWorker(false); }
   this.scene.remove(this.scene.getObjectByName("MuJoCo Root"));
   [this.model, this.state, this.simulation, this.bodies, this.lights] =
     await loadSceneFromURL(this.mujoco, this.params.scene, this);
   this.simulation.forward();
+  this.stopRecordingAndPlayback();
+  this.scheduler.reset();
+  this.resetPolicySchedule();
 
   for (let i = 0; i < this.updateGUICallbacks.length; i++) {
     this.updateGUICallbacks[i](this.model, this.simulation, this.params);
   }
+  if (inWorker) { await this.setPhysicsWorker(true); }
 }
 
 /** @param {MuJoCoDemo} parentContext */
@@ -26,23 +42,7 @@ export function setupGUI(parentContext) {
   // Initialize RL parameters.
   parentContext.params.rlControl = false;
   parentContext.params.policy = "baseline";
-  parentContext.params.rlUpdateInterval = 100;    // Default update interval (ms).
-
-  // Define RL configuration for each scene.
-  const sceneRLConfig = {
-    "myo_sim/hand/myo_hand_combined.xml": {
-      rlSupported: false
-    },
-    "myo_sim/arm/myoarm_bionic_bimanual.mjb": {
-      rlSupported: true,
-      policies: {
-        "baseline": "baseline",
-        "Muscle Heads": "policy_b",
-        "LNSworkers": "policy_c",
-        "neuroflex": "policy_d"
-      }
-    }
-  };
+  parentContext.params.frameSkip = 10;            // Physics steps per policy step (MyoSuite's frame_skip).
 
   let sceneFolder = parentContext.gui.addFolder("Scene");
 
@@ -52,19 +52,63 @@ export function setupGUI(parentContext) {
     "MyoHand": "myo_sim/hand/myo_hand_combined.xml",
   })
     .name('Example Scene')
-    .onChange((scene) => {
+    .onChange(() => {
       // Reload the simulation for the new scene.
-      let reload = reloadFunc.bind(parentContext);
       reload();
+    });
+
+  // Add scene status display.
+  // Parameters:
+  //  Under "Scene" folder.
+  //  Name: "Status".
+  //  Shows why a scene failed to load.
+  sceneFolder.add(parentContext.params, 'sceneStatus').name('Status').listen().disable();
+
+  // Reload the selected scene. If it fails to load, report the error and go back to the
+  // scene that is still running (reloadFunc downloads the new scene before replacing it).
+  let loadedScene = parentContext.params.scene;
+  const reload = () => {
+    const scene = parentContext.params.scene;
+    parentContext.params.sceneStatus = `Loading ${scene}...`;
+    return reloadFunc.call(parentContext).then(() => {
+      loadedScene = scene;
+      parentContext.params.sceneStatus = 'Ready';
       updateRLControlOptions(scene);
+    }).catch((error) => {
+      console.error(`[Scenes] Failed to load ${scene}:`, error);
+      parentContext.params.sceneStatus = `Error: ${error.message}`;
+      parentContext.params.scene = loadedScene;
       sceneController.updateDisplay();
     });
+  };
 
   parentContext.rlFolder = null;
 
+  // Swap in the selected policy; the simulation keeps running while it loads.
+  const loadSelectedPolicy = () => {
+    parentContext.loadPolicy(parentContext.params.policy).then((success) => {
+      if (!success && !parentContext.rlController.isModelLoaded) {
+        console.error('Failed to load RL model, disabling RL control');
+        parentContext.params.rlControl = false;
+      }
+    });
+  };
+
+  // Offer the manifest's policies for the scene, labelled by name.
+  const addPolicyController = (policies) => {
+    const options = {};
+    for (const policy of policies) { options[policy.name] = policy.id; }
+    return parentContext.rlFolder.add(parentContext.params, 'policy', options)
+      .name('Policy')
+      .onChange((value) => {
+        console.log("Selected Policy:", value);
+        loadSelectedPolicy();
+      });
+  };
+
   function updateRLControlOptions(sceneValue) {
-    const config = sceneRLConfig[sceneValue];
-    if (config && config.rlSupported) {
+    const policies = parentContext.policyManifest.policiesForScene(sceneValue);
+    if (policies.length > 0) {
       // If the selected scene supports RL Control.
       if (!parentContext.rlFolder) {
         // Create the RL Control folder if it does not exist.
@@ -73,91 +117,86 @@ export function setupGUI(parentContext) {
         // Add a toggle to enable/disable RL Control.
         parentContext.rlFolder.add(parentContext.params, 'rlControl')
           .name('Enable RL Control')
+          .listen()
           .onChange((value) => {
             console.log("RL Control:", value ? "Enabled" : "Disabled");
 
             // Load RL model if it's not already loaded
             if (value && !parentContext.rlController.isModelLoaded) {
-              // Point directly to the baseline.onnx file in the models directory
-              const modelPath = './examples/models/baseline.onnx';
-
-              // Check if the file exists before trying to load it
-              fetch(modelPath, { method: 'HEAD' })
-                .then(response => {
-                  if (!response.ok) {
-                    console.error(`RL model file not found at ${modelPath}`, response.status);
-                    parentContext.params.rlControl = false;
-                    return Promise.reject('File not found');
-                  }
-                  return parentContext.rlController.loadModel(modelPath);
-                })
-                .then(success => {
-                  if (!success) {
-                    console.error('Failed to load RL model, disabling RL control');
-                    parentContext.params.rlControl = false;
-                  }
-                })
-                .catch(error => {
-                  console.error('Error loading RL model:', error);
-                  parentContext.params.rlControl = false;
-                });
+              loadSelectedPolicy();
             }
           });
 
-        // Set the initial policy value to the first policy from the configuration.
-        parentContext.params.policy = Object.values(config.policies)[0];
+        // Set the initial policy value to the scene's first policy in the manifest.
+        parentContext.params.policy = policies[0].id;
 
         // Add the policy selection dropdown.
-        parentContext.rlFolder.add(parentContext.params, 'policy', config.policies)
-          .name('Policy')
+        parentContext.policyController = addPolicyController(policies);
+
+        // Show the loading/error state of the current policy, and what it is.
+        parentContext.rlFolder.add(parentContext.params, 'rlStatus').name('Status').listen().disable();
+        parentContext.rlFolder.add(parentContext.params, 'policyInfo').name('About').listen().disable();
+
+        // Show the value estimate of the last policy step, for policies that export one.
+        parentContext.rlFolder.add(parentContext.params, 'policyValue').name('Value Estimate').listen().disable();
+
+        // Add the action sampling mode: the Gaussian mean (evaluation), or sampled with the policy's
+        // log-std as during training. The seed makes sampled rollouts reproducible; the noise
+        // restarts from it on every reset.
+        const updateSampling = () => {
+          parentContext.rlController.setSampling(parentContext.params.sampling, parentContext.params.samplingSeed);
+        };
+        parentContext.rlFolder.add(parentContext.params, 'sampling', {
+          "Deterministic (mean)": "deterministic",
+          "Stochastic": "stochastic"
+        }).name('Action Sampling').onChange(updateSampling);
+        parentContext.rlFolder.add(parentContext.params, 'samplingSeed').step(1)
+          .name('Sampling Seed').onChange(updateSampling);
+
+        // Add a button to load a policy exported by the user (.onnx, optionally with a .json spec).
+        // Files can also be dropped onto the canvas.
+        parentContext.rlFolder.add(parentContext.params, 'loadPolicyFile').name('Load Policy File');
+
+        // Add the execution provider dropdown; changing it reloads the current policy.
+        // Providers that do not work in this browser fall back to wasm, see Status.
+        const executionProviders = {};
+        for (const [key, provider] of Object.entries(EXECUTION_PROVIDERS)) {
+          executionProviders[provider.label] = key;
+        }
+        parentContext.rlFolder.add(parentContext.params, 'executionProvider', executionProviders)
+          .name('Execution Provider')
           .onChange((value) => {
-            console.log("Selected Policy:", value);
-
-            // Reload the RL model if the policy changes
-            if (parentContext.params.rlControl) {
-              console.log(`Policy changed to ${value}, would load different model in full implementation`);
-            }
+            console.log("Execution Provider:", value);
+            loadSelectedPolicy();
           });
 
-        // Add a slider for the RL update interval (in milliseconds).
-        parentContext.rlFolder.add(parentContext.params, 'rlUpdateInterval', 10, 1000, 10)
-          .name('Update Interval (ms)')
+        // Add a slider for the number of physics steps per policy step; loading a policy
+        // sets it to the policy's control rate from the manifest.
+        parentContext.rlFolder.add(parentContext.params, 'frameSkip', 1, 50, 1)
+          .name('Frame Skip')
+          .listen()
           .onChange((value) => {
-            console.log("RL Update Interval:", value);
-            // The interval is stored in params and used directly in updateRLControl
+            let timestep = parentContext.model.getOptions().timestep;
+            console.log(`RL Frame Skip: ${value} (policy period ${(value * timestep).toFixed(4)}s)`);
+            // The frame skip is stored in params and used directly in updateRLControl
           });
 
         parentContext.rlFolder.open();
       } else {
         // If the RL Control folder already exists, update the policy dropdown options.
-        let policyController = parentContext.rlFolder.__controllers.find(c => c.property === 'policy');
-        if (policyController) {
-          parentContext.rlFolder.remove(policyController);
-          parentContext.rlFolder.add(parentContext.params, 'policy', config.policies)
-            .name('Policy')
-            .onChange((value) => {
-              console.log("Selected Policy:", value);
-
-              // Reload the RL model if the policy changes
-              if (parentContext.params.rlControl) {
-                console.log(`Policy changed to ${value}, would load different model in full implementation`);
-              }
-            });
+        parentContext.policyController.destroy();
+        if (!policies.some(policy => policy.id === parentContext.params.policy)) {
+          parentContext.params.policy = policies[0].id;
         }
+        parentContext.policyController = addPolicyController(policies);
       }
     } else {
       // If the selected scene does not support RL Control.
       if (parentContext.rlFolder) {
-        // Remove the RL Control folder from the DOM.
-        if (parentContext.rlFolder.domElement &&
-          parentContext.rlFolder.domElement.parentNode) {
-          parentContext.rlFolder.domElement.parentNode.removeChild(parentContext.rlFolder.domElement);
-        }
-        // Also remove it from the sceneFolder's internal folders if present.
-        if (sceneFolder.__folders && sceneFolder.__folders["RL Control"]) {
-          delete sceneFolder.__folders["RL Control"];
-        }
+        // Remove the RL Control folder from the GUI.
+        parentContext.rlFolder.destroy();
         parentContext.rlFolder = null;
+        parentContext.policyController = null;
 
         // Disable RL control for unsupported scenes
         parentContext.params.rlControl = false;
@@ -165,6 +204,39 @@ export function setupGUI(parentContext) {
     }
   }
 
+  // Load the user's own policy files and offer them in the Policy dropdown.
+  const loadUserPolicyFiles = (files) => {
+    parentContext.loadUserPolicy(Array.from(files)).then((success) => {
+      if (success) { updateRLControlOptions(parentContext.params.scene); }
+    });
+  };
+
+  // Accept an .onnx policy (and optional .json spec) dropped onto the canvas.
+  const canvas = parentContext.renderer.domElement;
+  canvas.addEventListener('dragover', (event) => {
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+  });
+  canvas.addEventListener('drop', (event) => {
+    event.preventDefault();
+    if (event.dataTransfer.files.length > 0) {
+      loadUserPolicyFiles(event.dataTransfer.files);
+    }
+  });
+
+  // The same through a file picker, from the "Load Policy File" button.
+  const policyFileInput = document.createElement('input');
+  policyFileInput.type = 'file';
+  policyFileInput.accept = '.onnx,.json';
+  policyFileInput.multiple = true;
+  policyFileInput.addEventListener('change', () => {
+    if (policyFileInput.files.length > 0) {
+      loadUserPolicyFiles(policyFileInput.files);
+    }
+    policyFileInput.value = '';
+  });
+  parentContext.params.loadPolicyFile = () => policyFileInput.click();
+
   // Update RL Control options based on the initial scene.
   updateRLControlOptions(parentContext.params.scene);
 
@@ -285,7 +357,11 @@ export function setupGUI(parentContext) {
     }
   });
   document.addEventListener('keydown', (event) => {
-    if (event.code === 'Space') {
+    if (event.code === 'Space' && parentContext.params.playback) {
+      // During playback, pause the playback instead.
+      parentContext.params.playbackPaused = !parentContext.params.playbackPaused;
+      event.preventDefault();
+    } else if (event.code === 'Space') {
       parentContext.params.paused = !parentContext.params.paused;
       pauseSimulation.setValue(parentContext.params.paused);
       event.preventDefault();
@@ -294,6 +370,35 @@ export function setupGUI(parentContext) {
   actionInnerHTML += 'Play / Pause<br>';
   keyInnerHTML += 'Space<br>';
 
+  // Add real-time factor slider.
+  // Parameters:
+  //  Under "Simulation" folder.
+  //  Name: "Real-time Factor".
+  //  Simulated seconds per wall-clock second: below 1 is slow motion, above 1 fast forward.
+  //  Can also be halved / doubled by pressing [ / ].
+  const realTimeFactor = simulationFolder.add(parentContext.params, 'realTimeFactor', 0.05, 4.0, 0.05).name('Real-time Factor');
+  document.addEventListener('keydown', (event) => {
+    if (event.code === 'BracketLeft' || event.code === 'BracketRight') {
+      let factor = parentContext.params.realTimeFactor * (event.code === 'BracketLeft' ? 0.5 : 2.0);
+      realTimeFactor.setValue(Math.min(4.0, Math.max(0.05, factor)));
+      event.preventDefault();
+    }
+  });
+  actionInnerHTML += 'Slow motion / Fast forward<br>';
+  keyInnerHTML += '[ / ]<br>';
+
+  // Show the achieved speed, and whether the browser is falling behind real time.
+  simulationFolder.add(parentContext.params, 'realTimeStatus').name('Actual Speed').listen().disable();
+
+  // Add physics worker checkbox.
+  // Parameters:
+  //  Under "Simulation" folder.
+  //  Name: "Physics in Worker".
+  //  Steps the simulation in a worker so heavy models do not stall rendering and the camera.
+  //  Needs a cross-origin isolated page; policies, recording, playback and capture step on the main thread.
+  simulationFolder.add(parentContext.params, 'physicsWorker').name('Physics in Worker').listen()
+    .onChange((value) => { parentContext.setPhysicsWorker(value); });
+
   // Add reload model button.
   // Parameters:
   //  Under "Simulation" folder.
@@ -314,8 +419,12 @@ export function setupGUI(parentContext) {
   //  When pressed, resets the simulation to the initial state.
   //  Can also be triggered by pressing backspace.
   const resetSimulation = () => {
+    parentContext.stopRecordingAndPlayback();
     parentContext.simulation.resetData();
     parentContext.simulation.forward();
+    parentContext.scheduler.reset();
+    parentContext.resetPolicySchedule();
+    if (parentContext.physicsClient) { parentContext.physicsClient.reset(); }
   };
   simulationFolder.add({ reset: () => { resetSimulation(); } }, 'reset').name('Reset');
   document.addEventListener('keydown', (event) => {
@@ -331,6 +440,7 @@ export function setupGUI(parentContext) {
     if (value < parentContext.model.nkey) {
       parentContext.simulation.qpos.set(parentContext.model.key_qpos.slice(
         value * parentContext.model.nq, (value + 1) * parentContext.model.nq));
+      if (parentContext.physicsClient) { parentContext.physicsClient.loadKeyframe(value); }
     }
   });
   parentContext.updateGUICallbacks.push((model, simulation, params) => {
@@ -346,8 +456,275 @@ export function setupGUI(parentContext) {
     }
   });
 
-  let textDecoder = new TextDecoder("utf-8");
-  let nullChar = textDecoder.decode(new ArrayBuffer(1));
+  // Add muscle coloring dropdowns and their legend.
+  // Parameters:
+  //  Under "Simulation" folder.
+  //  Name: "Muscle Coloring", "Colormap".
+  //  Colours each tendon by the activation or force of the actuator pulling on it.
+  //  The legend is shown in the bottom left corner while coloring is on.
+  const legend = document.createElement('div');
+  legend.style.position = 'absolute';
+  legend.style.bottom = '10px';
+  legend.style.left = '10px';
+  legend.style.color = 'white';
+  legend.style.font = 'normal 14px Arial';
+  legend.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+  legend.style.padding = '8px';
+  legend.style.borderRadius = '10px';
+  legend.style.width = '200px';
+  legend.style.display = 'none';
+  const legendTitle = document.createElement('div');
+  legend.appendChild(legendTitle);
+  const legendBar = document.createElement('div');
+  legendBar.style.height = '12px';
+  legendBar.style.margin = '4px 0px';
+  legend.appendChild(legendBar);
+  const legendLabels = document.createElement('div');
+  legendLabels.style.display = 'flex';
+  legendLabels.style.justifyContent = 'space-between';
+  const legendMin = document.createElement('span');
+  const legendMax = document.createElement('span');
+  legendLabels.appendChild(legendMin);
+  legendLabels.appendChild(legendMax);
+  legend.appendChild(legendLabels);
+  parentContext.container.appendChild(legend);
+  const updateMuscleColoring = () => {
+    const coloring = parentContext.muscleColoring;
+    coloring.mode = parentContext.params.muscleColoring;
+    coloring.colormap = parentContext.params.colormap;
+    legend.style.display = coloring.mode === 'none' ? 'none' : 'block';
+    const labels = coloring.legendLabels();
+    legendTitle.innerHTML = labels.title;
+    legendMin.innerHTML = labels.min;
+    legendMax.innerHTML = labels.max;
+    legendBar.style.background = coloring.cssGradient();
+  };
+  simulationFolder.add(parentContext.params, 'muscleColoring', {
+    "None": "none",
+    "Activation": "activation",
+    "Force": "force"
+  }).name('Muscle Coloring').onChange(updateMuscleColoring);
+  simulationFolder.add(parentContext.params, 'colormap', MuscleColoring.colormaps)
+    .name('Colormap').onChange(updateMuscleColoring);
+  updateMuscleColoring();
+
+  // Add contact overlay checkbox and force scale slider.
+  // Parameters:
+  //  Under "Simulation" folder.
+  //  Name: "Show Contacts", "Contact Force Scale".
+  //  Draws contact points, normals, and force arrows scaled (m/N) and coloured by magnitude.
+  //  Only shown when the MuJoCo WASM build exposes Simulation.contacts() (rebuild dist/ from src/).
+  if (typeof parentContext.simulation.contacts === 'function') {
+    simulationFolder.add(parentContext.params, 'showContacts').name('Show Contacts')
+      .onChange((value) => { parentContext.contactOverlay.visible = value; });
+    simulationFolder.add(parentContext.params, 'contactForceScale', 0.001, 0.1, 0.001).name('Contact Force Scale')
+      .onChange((value) => { parentContext.contactOverlay.forceScale = value; });
+  } else {
+    console.warn('[Contacts] This MuJoCo build does not expose contacts; the contact overlay is unavailable until dist/ is rebuilt');
+  }
+
+  // Add mocap target dropdown and gizmo mode.
+  // Parameters:
+  //  Under "Simulation" folder.
+  //  Name: "Mocap Target", "Gizmo Mode".
+  //  Puts a gizmo on the chosen mocap body to translate or rotate it while the simulation runs;
+  //  double-clicking a mocap body also picks it.
+  //  The mode can also be toggled by pressing G.
+  let mocapTargetGUI = null;
+  const mocapModeGUI = simulationFolder.add(parentContext.params, 'mocapGizmoMode', {
+    "Translate": "translate",
+    "Rotate": "rotate"
+  }).name('Gizmo Mode').listen().onChange((value) => { parentContext.mocapGizmo.mode = value; });
+  const updateMocapTargets = (model) => {
+    const targets = { "None": -1 };
+    for (let b = 0; b < model.nbody; b++) {
+      if (model.body_mocapid[b] >= 0) { targets[parentContext.modelIndex.label('body', b)] = b; }
+    }
+    parentContext.params.mocapTarget = -1;
+    if (mocapTargetGUI) { mocapTargetGUI.destroy(); }
+    mocapTargetGUI = simulationFolder.add(parentContext.params, 'mocapTarget', targets).name('Mocap Target').listen()
+      .onChange((value) => { parentContext.mocapGizmo.attach(parentContext.model, value >= 0 ? value : null); });
+    // Keep the dropdown above the mode
+    mocapModeGUI.domElement.before(mocapTargetGUI.domElement);
+  };
+  updateMocapTargets(parentContext.model);
+  parentContext.updateGUICallbacks.push(updateMocapTargets);
+  document.addEventListener('keydown', (event) => {
+    if (event.code === 'KeyG' && !event.ctrlKey && !event.metaKey) {
+      mocapModeGUI.setValue(parentContext.params.mocapGizmoMode === 'translate' ? 'rotate' : 'translate');
+      event.preventDefault();
+    }
+  });
+  actionInnerHTML += 'Translate / Rotate mocap target<br>';
+  keyInnerHTML += 'G<br>';
+
+  // Add a folder for recording and playing back trajectories.
+  let trajectoryFolder = parentContext.gui.addFolder("Trajectory");
+
+  // Add record checkbox.
+  // Parameters:
+  //  Under "Trajectory" folder.
+  //  Name: "Record".
+  //  Logs time, qpos, qvel, ctrl, act and mocap poses after every physics step.
+  //  Starting a new recording discards the previous one; reset and reload stop recording.
+  //  Can also be triggered by pressing R.
+  const recordTrajectory = trajectoryFolder.add(parentContext.params, 'recording').name('Record').listen()
+    .onChange((value) => { parentContext.setRecording(value); });
+  trajectoryFolder.add(parentContext.params, 'recordingStatus').name('Recorded').listen().disable();
+  document.addEventListener('keydown', (event) => {
+    if (event.code === 'KeyR' && !event.ctrlKey && !event.metaKey) {
+      recordTrajectory.setValue(!parentContext.params.recording);
+      event.preventDefault();
+    }
+  });
+  actionInnerHTML += 'Start / Stop recording<br>';
+  keyInnerHTML += 'R<br>';
+
+  // Add playback checkbox and its timeline.
+  // Parameters:
+  //  Under "Trajectory" folder.
+  //  Name: "Playback".
+  //  Shows the recorded frames instead of stepping physics; leaving playback continues from the frame shown.
+  //  The timeline slider seeks, and follows the playback time while playing.
+  //  Can also be triggered by pressing P.
+  const playbackTrajectory = trajectoryFolder.add(parentContext.params, 'playback').name('Playback').listen()
+    .onChange((value) => {
+      if (parentContext.setPlayback(value)) {
+        timeline.max(parentContext.recorder.duration);
+        timeline.updateDisplay();
+      }
+    });
+  const timeline = trajectoryFolder.add(parentContext.params, 'playbackTime', 0, 1, 0.001).name('Timeline').listen();
+  trajectoryFolder.add(parentContext.params, 'playbackPaused').name('Pause Playback').listen();
+  trajectoryFolder.add(parentContext.params, 'playbackSpeed', 0.05, 4.0, 0.05).name('Playback Speed');
+  trajectoryFolder.add(parentContext.params, 'playbackLoop').name('Loop');
+  document.addEventListener('keydown', (event) => {
+    if (event.code === 'KeyP' && !event.ctrlKey && !event.metaKey) {
+      playbackTrajectory.setValue(!parentContext.params.playback);
+      event.preventDefault();
+    }
+  });
+  actionInnerHTML += 'Enter / Leave playback<br>';
+  keyInnerHTML += 'P<br>';
+
+  // Add trajectory export and import.
+  // Parameters:
+  //  Under "Trajectory" folder.
+  //  Formats: CSV with named columns, NPZ (numpy.load), and MyoSuite's rollout JSON layout.
+  //  Importing replaces the recording and starts playback; trajectories from Python MyoSuite
+  //  can be replayed as long as they were recorded with the same model.
+  trajectoryFolder.add(parentContext.params, 'trajectoryFormat', {
+    "CSV": "csv",
+    "NPZ (NumPy)": "npz",
+    "MyoSuite JSON": "json"
+  }).name('Export Format');
+  trajectoryFolder.add({
+    export: () => {
+      const file = parentContext.exportTrajectory(parentContext.params.trajectoryFormat);
+      if (file) { downloadFile(file); }
+    }
+  }, 'export').name('Export Trajectory');
+
+  const trajectoryFileInput = document.createElement('input');
+  trajectoryFileInput.type = 'file';
+  trajectoryFileInput.accept = '.csv,.npz,.json';
+  trajectoryFileInput.addEventListener('change', () => {
+    if (trajectoryFileInput.files.length > 0) {
+      parentContext.importTrajectory(trajectoryFileInput.files[0]).then((playing) => {
+        if (playing) {
+          timeline.max(parentContext.recorder.duration);
+          timeline.updateDisplay();
+        }
+      });
+    }
+    trajectoryFileInput.value = '';
+  });
+  trajectoryFolder.add({ import: () => trajectoryFileInput.click() }, 'import').name('Import Trajectory');
+
+  // Add a folder for capturing video and image sequences.
+  let captureFolder = parentContext.gui.addFolder("Capture");
+
+  // Add capture settings.
+  // Parameters:
+  //  Under "Capture" folder.
+  //  Frames are taken every 1/FPS seconds of simulation (or playback) time, at the given
+  //  resolution, rendered at Supersampling times that size and averaged down.
+  //  Settings take effect when the next capture starts.
+  captureFolder.add(parentContext.params, 'captureFormat', {
+    "WebM video": "webm",
+    "PNG sequence (zip)": "png"
+  }).name('Format');
+  captureFolder.add(parentContext.params, 'captureFPS', 1, 120, 1).name('FPS');
+  captureFolder.add(parentContext.params, 'captureWidth', 16, 3840, 2).name('Width');
+  captureFolder.add(parentContext.params, 'captureHeight', 16, 2160, 2).name('Height');
+  captureFolder.add(parentContext.params, 'captureSupersampling', 1, 4, 1).name('Supersampling');
+  captureFolder.add(parentContext.params, 'captureTransparent').name('Transparent Background');
+
+  // Add capture checkbox.
+  // Parameters:
+  //  Under "Capture" folder.
+  //  Name: "Capture".
+  //  Stopping encodes the frames and downloads the video or zip.
+  //  Can also be triggered by pressing C.
+  const captureToggle = captureFolder.add(parentContext.params, 'capture').name('Capture').listen()
+    .onChange((value) => {
+      parentContext.setCapture(value).then((file) => { if (file) { downloadFile(file); } });
+    });
+  captureFolder.add(parentContext.params, 'captureStatus').name('Status').listen().disable();
+  document.addEventListener('keydown', (event) => {
+    if (event.code === 'KeyC' && !event.ctrlKey && !event.metaKey) {
+      captureToggle.setValue(!parentContext.params.capture);
+      event.preventDefault();
+    }
+  });
+  actionInnerHTML += 'Start / Stop capture<br>';
+  keyInnerHTML += 'C<br>';
+  captureFolder.close();
+
+  // Add a folder for the plotting panel.
+  let plotFolder = parentContext.gui.addFolder("Plots");
+  const plotPanel = parentContext.plotPanel;
+
+  // Add plotting controls.
+  // Parameters:
+  //  Under "Plots" folder.
+  //  Signals are picked by name ("qpos:", "qvel:", "ctrl:", "act:", "force:", "length:" or "sensor:"
+  //  followed by the object name); the filter narrows the signal list.
+  //  "Add Trace" adds the signal to the last plot, "New Plot" starts another one.
+  //  Clicking a trace in the panel removes it.
+  plotFolder.add(parentContext.params, 'showPlots').name('Show Plots').listen()
+    .onChange((value) => { plotPanel.visible = value; });
+  plotFolder.add(parentContext.params, 'plotWindow', 1.0, 60.0, 1.0).name('Window (s)')
+    .onChange((value) => { plotPanel.window = value; });
+  const plotFilter = plotFolder.add(parentContext.params, 'plotFilter').name('Filter');
+  let plotSignal = null;
+  const updatePlotSignals = () => {
+    const filter = parentContext.params.plotFilter.toLowerCase();
+    const names = plotPanel.signalNames.filter(name => name.toLowerCase().includes(filter));
+    if (!names.includes(parentContext.params.plotSignal)) { parentContext.params.plotSignal = names[0] || ""; }
+    if (plotSignal) { plotSignal.destroy(); }
+    plotSignal = plotFolder.add(parentContext.params, 'plotSignal', names).name('Signal');
+    // Keep the dropdown under the filter
+    plotFilter.domElement.after(plotSignal.domElement);
+  };
+  plotFilter.onChange(updatePlotSignals);
+  updatePlotSignals();
+  parentContext.updateGUICallbacks.push(updatePlotSignals);
+  const addTrace = (plotIndex) => {
+    if (!parentContext.params.plotSignal) { return; }
+    plotPanel.addTrace(parentContext.params.plotSignal, plotIndex);
+    plotPanel.visible = parentContext.params.showPlots = true;
+  };
+  plotFolder.add({ addTrace: () => addTrace() }, 'addTrace').name('Add Trace');
+  plotFolder.add({ newPlot: () => addTrace(plotPanel.addPlot()) }, 'newPlot').name('New Plot');
+  plotFolder.add({ removeAll: () => plotPanel.removeAll() }, 'removeAll').name('Remove All Plots');
+  plotFolder.add({
+    export: () => {
+      const file = plotPanel.export();
+      if (file) { downloadFile(file); }
+    }
+  }, 'export').name('Export Plot Data');
+  plotFolder.close();
 
   // Add sliders for ctrlnoiserate and ctrlnoisestd; min = 0, max = 2, step = 0.01.
   // simulationFolder.add(parentContext.params, 'ctrlnoiserate', 0.0, 2.0, 0.01).name('Noise rate' );
@@ -360,9 +737,7 @@ export function setupGUI(parentContext) {
     let actuatorGUIs = [];
     for (let i = 0; i < model.nu; i++) {
       if (!model.actuator_ctrllimited[i]) { continue; }
-      let name = textDecoder.decode(
-        parentContext.model.names.subarray(
-          parentContext.model.name_actuatoradr[i])).split(nullChar)[0];
+      let name = parentContext.modelIndex.name('actuator', i);
 
       parentContext.params[name] = 0.0;
       let actuatorGUI = actuatorFolder.add(parentContext.params, name, act_range[2 * i], act_range[2 * i + 1], 0.01).name(name).listen();
@@ -400,6 +775,17 @@ export function setupGUI(parentContext) {
 }
 
 
+/** Offers a file to the user as a download
+ * @param {{blob: Blob, filename: string}} file The file to save
+ */
+function downloadFile(file) {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(file.blob);
+  link.download = file.filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
 /** Loads a scene for MuJoCo
  * @param {mujoco} mujoco This is a reference to the mujoco namespace object
  * @param {string} filename This is the name of the .xml or .mjb file in the /working/ directory of the MuJoCo/Emscripten Virtual File System
@@ -434,10 +820,9 @@ export async function loadSceneFromURL(mujoco, filename, parent) {
   let state = parent.state;
   let simulation = parent.simulation;
 
-  // Decode the null-terminated string names.
-  let textDecoder = new TextDecoder("utf-8");
-  let fullString = textDecoder.decode(model.names);
-  let names = fullString.split(textDecoder.decode(new ArrayBuffer(1)));
+  // Index the object names once; everything else looks them up through this index.
+  parent.modelIndex = ModelIndex.build(model, simulation);
+  let names = parent.modelIndex;
 
   // Create the root object.
   let mujocoRoot = new THREE.Group();
@@ -472,7 +857,7 @@ export async function loadSceneFromURL(mujoco, filename, parent) {
     // Create the body if it doesn't exist.
     if (!(b in bodies)) {
       bodies[b] = new THREE.Group();
-      bodies[b].name = names[model.name_bodyadr[b]];
+      bodies[b].name = names.name('body', b);
       bodies[b].bodyID = b;
       bodies[b].has_custom_mesh = false;
     }
@@ -614,20 +999,24 @@ export async function loadSceneFromURL(mujoco, filename, parent) {
   }
 
   // Parse tendons.
+  // Each segment is coloured per instance (see MuscleColoring), so the shared material stays white.
   let tendonMat = new THREE.MeshPhongMaterial();
-  tendonMat.color = new THREE.Color(0.8, 0.3, 0.3);
   mujocoRoot.cylinders = new THREE.InstancedMesh(
     new THREE.CylinderGeometry(1, 1, 1),
     tendonMat, 1023);
+  mujocoRoot.cylinders.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(1023 * 3), 3);
   mujocoRoot.cylinders.receiveShadow = true;
   mujocoRoot.cylinders.castShadow = true;
   mujocoRoot.add(mujocoRoot.cylinders);
   mujocoRoot.spheres = new THREE.InstancedMesh(
     new THREE.SphereGeometry(1, 10, 10),
     tendonMat, 1023);
+  mujocoRoot.spheres.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(1023 * 3), 3);
   mujocoRoot.spheres.receiveShadow = true;
   mujocoRoot.spheres.castShadow = true;
   mujocoRoot.add(mujocoRoot.spheres);
+  parent.muscleColoring.setModel(model);
+  parent.plotPanel.setModel(model);
 
   // Parse lights.
   for (let l = 0; l < model.nlight; l++) {
@@ -667,7 +1056,7 @@ export async function loadSceneFromURL(mujoco, filename, parent) {
       bodies[0].add(bodies[b]);
     } else {
       console.log("Body without Geometry detected; adding to bodies", b, bodies[b]);
-      bodies[b] = new THREE.Group(); bodies[b].name = names[b + 1]; bodies[b].bodyID = b; bodies[b].has_custom_mesh = false;
+      bodies[b] = new THREE.Group(); bodies[b].name = names.name('body', b); bodies[b].bodyID = b; bodies[b].has_custom_mesh = false;
       bodies[0].add(bodies[b]);
     }
   }
@@ -676,294 +1065,6 @@ export async function loadSceneFromURL(mujoco, filename, parent) {
   return [model, state, simulation, bodies, lights]
 }
 
-/** Downloads the scenes/examples folder to MuJoCo's virtual filesystem
- * @param {mujoco} mujoco */
-export async function downloadExampleScenesFolder(mujoco) {
-  let allFiles = [
-    // "myo_sim/arm/myoarm_bionic_bimanual.xml",
-    "myo_sim/arm/myoarm_bionic_bimanual.mjb",
-
-    // "myo_sim/elbow/myo_test.xml",
-    "myo_sim/elbow/myo_elbow_combined.xml",
-    "myo_sim/elbow/myo_elbow_exo_combined.xml",
-
-    // "myo_sim/basic/muscle_load.xml",
-    "myo_sim/elbow/assets/myo_elbow_1dof6muscles_1dofexo_body.xml",
-    "myo_sim/elbow/assets/myo_elbow_1dof6muscles_body.xml",
-    // "myo_sim/elbow/assets/myo_elbow_2dof6muscles_body.xml",
-    "myo_sim/elbow/assets/myo_elbow_assets.xml",
-    // "myo_sim/elbow/elbow_1dof6muscles_1dofSoftexo_Ideal.xml",
-    // "myo_sim/elbow/elbow_1dof6muscles_1dofSoftexo_sim2.xml",
-    // "myo_sim/elbow/myo_elbow_1dof6muscles.xml",
-    // "myo_sim/elbow/myo_elbow_1dof6muscles_1dofexo.xml",
-    // "myo_sim/elbow/myo_elbow_2dof6muscles.xml",
-    "myo_sim/finger/finger_v0.xml",
-    "myo_sim/finger/motor_finger_v0.xml",
-    "myo_sim/finger/myo_finger_v0.xml",
-    // "myo_sim/hand/assets/myo_hand_assets.xml",
-    // "myo_sim/hand/assets/myo_hand_body.xml",
-    // "myo_sim/hand/assets/myo_hand_body_TTrans.xml",
-    // "myo_sim/hand/myo_hand.xml",
-    "myo_sim/hand/myo_hand_combined.xml",
-    "myo_sim/meshes/1mc.stl",
-    "myo_sim/meshes/2distph.stl",
-    "myo_sim/meshes/2mc.stl",
-    "myo_sim/meshes/2midph.stl",
-    "myo_sim/meshes/2proxph.stl",
-    "myo_sim/meshes/3distph.stl",
-    "myo_sim/meshes/3mc.stl",
-    "myo_sim/meshes/3midph.stl",
-    "myo_sim/meshes/3proxph.stl",
-    "myo_sim/meshes/4distph.stl",
-    "myo_sim/meshes/4mc.stl",
-    "myo_sim/meshes/4midph.stl",
-    "myo_sim/meshes/4proxph.stl",
-    "myo_sim/meshes/5distph.stl",
-    "myo_sim/meshes/5mc.stl",
-    "myo_sim/meshes/5midph.stl",
-    "myo_sim/meshes/5proxph.stl",
-    "myo_sim/meshes/arm_r_1mc.stl",
-    "myo_sim/meshes/arm_r_2distph.stl",
-    "myo_sim/meshes/arm_r_2mc.stl",
-    "myo_sim/meshes/arm_r_2midph.stl",
-    "myo_sim/meshes/arm_r_2proxph.stl",
-    "myo_sim/meshes/arm_r_3distph.stl",
-    "myo_sim/meshes/arm_r_3mc.stl",
-    "myo_sim/meshes/arm_r_3midph.stl",
-    "myo_sim/meshes/arm_r_3proxph.stl",
-    "myo_sim/meshes/arm_r_4distph.stl",
-    "myo_sim/meshes/arm_r_4mc.stl",
-    "myo_sim/meshes/arm_r_4midph.stl",
-    "myo_sim/meshes/arm_r_4proxph.stl",
-    "myo_sim/meshes/arm_r_5distph.stl",
-    "myo_sim/meshes/arm_r_5mc.stl",
-    "myo_sim/meshes/arm_r_5midph.stl",
-    "myo_sim/meshes/arm_r_5proxph.stl",
-    "myo_sim/meshes/arm_r_capitate.stl",
-    "myo_sim/meshes/arm_r_hamate.stl",
-    "myo_sim/meshes/arm_r_humerus.stl",
-    "myo_sim/meshes/arm_r_lunate.stl",
-    "myo_sim/meshes/arm_r_pisiform.stl",
-    "myo_sim/meshes/arm_r_radius.stl",
-    "myo_sim/meshes/arm_r_scaphoid.stl",
-    "myo_sim/meshes/arm_r_thumbdist.stl",
-    "myo_sim/meshes/arm_r_thumbprox.stl",
-    "myo_sim/meshes/arm_r_trapezium.stl",
-    "myo_sim/meshes/arm_r_trapezoid.stl",
-    "myo_sim/meshes/arm_r_triquetrum.stl",
-    "myo_sim/meshes/arm_r_ulna.stl",
-    "myo_sim/meshes/capitate.stl",
-    // "myo_sim/meshes/capitate_lvs.stl",
-    // "myo_sim/meshes/capitate_rvs.stl",
-    "myo_sim/meshes/clavicle.stl",
-    // "myo_sim/meshes/fingers1.stl",
-    // "myo_sim/meshes/fingers12.stl",
-    // "myo_sim/meshes/fingers16.stl",
-    // "myo_sim/meshes/fingers17.stl",
-    // "myo_sim/meshes/fingers18mod61.stl",
-    // "myo_sim/meshes/fingers19mod13-24.stl",
-    // "myo_sim/meshes/fingers2.stl",
-    // "myo_sim/meshes/fingers3.stl",
-    // "myo_sim/meshes/fingers4.stl",
-    // "myo_sim/meshes/fingers8.stl",
-    "myo_sim/meshes/ground_jaw.stl",
-    "myo_sim/meshes/ground_r_clavicle.stl",
-    "myo_sim/meshes/ground_r_scapula.stl",
-    "myo_sim/meshes/ground_ribs.stl",
-    "myo_sim/meshes/ground_skull.stl",
-    "myo_sim/meshes/ground_spine.stl",
-    "myo_sim/meshes/hamate.stl",
-    "myo_sim/meshes/hamate_lvs.stl",
-    "myo_sim/meshes/hamate_rvs.stl",
-    "myo_sim/meshes/hand_2distph.stl",
-    "myo_sim/meshes/hand_2midph.stl",
-    "myo_sim/meshes/hand_2proxph.stl",
-    "myo_sim/meshes/hat_jaw.stl",
-    "myo_sim/meshes/hat_ribs_scap.stl",
-    "myo_sim/meshes/hat_skull.stl",
-    "myo_sim/meshes/hat_spine.stl",
-    // "myo_sim/meshes/human_highpoly.stl",
-    // "myo_sim/meshes/human_lowpoly.stl",
-    "myo_sim/meshes/human_lowpoly_norighthand.stl",
-    "myo_sim/meshes/humerus.stl",
-    // "myo_sim/meshes/humerus_lv.stl",
-    // "myo_sim/meshes/humerus_rv.stl",
-    // "myo_sim/meshes/index_distal_lvs.stl",
-    // "myo_sim/meshes/index_distal_rvs.stl",
-    // "myo_sim/meshes/index_medial_lvs.stl",
-    // "myo_sim/meshes/index_medial_rvs.stl",
-    // "myo_sim/meshes/index_proximal_lvs.stl",
-    // "myo_sim/meshes/index_proximal_rvs.stl",
-    // "myo_sim/meshes/l_bofoot.stl",
-    // "myo_sim/meshes/l_femur.stl",
-    // "myo_sim/meshes/l_fibula.stl",
-    // "myo_sim/meshes/l_foot.stl",
-    // "myo_sim/meshes/l_patella.stl",
-    // "myo_sim/meshes/l_pelvis.stl",
-    // "myo_sim/meshes/l_talus.stl",
-    // "myo_sim/meshes/l_tibia.stl",
-    // "myo_sim/meshes/little_distal_lvs.stl",
-    // "myo_sim/meshes/little_distal_rvs.stl",
-    // "myo_sim/meshes/little_medial_lvs.stl",
-    // "myo_sim/meshes/little_medial_rvs.stl",
-    // "myo_sim/meshes/little_proximal_lvs.stl",
-    // "myo_sim/meshes/little_proximal_rvs.stl",
-    "myo_sim/meshes/lunate.stl",
-    // "myo_sim/meshes/lunate_lvs.stl",
-    // "myo_sim/meshes/lunate_rvs.stl",
-    // "myo_sim/meshes/metacarpal1_lvs.stl",
-    // "myo_sim/meshes/metacarpal1_rvs.stl",
-    // "myo_sim/meshes/metacarpal2_lvs.stl",
-    // "myo_sim/meshes/metacarpal2_rvs.stl",
-    // "myo_sim/meshes/metacarpal3_lvs.stl",
-    // "myo_sim/meshes/metacarpal3_rvs.stl",
-    // "myo_sim/meshes/metacarpal4_lvs.stl",
-    // "myo_sim/meshes/metacarpal4_rvs.stl",
-    // "myo_sim/meshes/metacarpal5_lvs.stl",
-    // "myo_sim/meshes/metacarpal5_rvs.stl",
-    // "myo_sim/meshes/middle_distal_lvs.stl",
-    // "myo_sim/meshes/middle_distal_rvs.stl",
-    // "myo_sim/meshes/middle_medial_lvs.stl",
-    // "myo_sim/meshes/middle_medial_rvs.stl",
-    // "myo_sim/meshes/middle_proximal_lvs.stl",
-    // "myo_sim/meshes/middle_proximal_rvs.stl",
-    // "myo_sim/meshes/movaxesfin104.stl",
-    // "myo_sim/meshes/movaxesfin117.stl",
-    // "myo_sim/meshes/movaxesfin133.stl",
-    // "myo_sim/meshes/movaxesfin143.stl",
-    // "myo_sim/meshes/movaxesfin158.stl",
-    // "myo_sim/meshes/movaxesfin515.stl",
-    // "myo_sim/meshes/movaxesfin623.stl",
-    // "myo_sim/meshes/movaxesfin76.stl",
-    // "myo_sim/meshes/movaxesfin91.stl",
-    "myo_sim/meshes/pisiform.stl",
-    // "myo_sim/meshes/pisiform_lvs.stl",
-    // "myo_sim/meshes/pisiform_rvs.stl",
-    // "myo_sim/meshes/r_bofoot.stl",
-    // "myo_sim/meshes/r_cap.stl",
-    // "myo_sim/meshes/r_femur.stl",
-    // "myo_sim/meshes/r_fibula.stl",
-    // "myo_sim/meshes/r_foot.stl",
-    // "myo_sim/meshes/r_ham.stl",
-    // "myo_sim/meshes/r_lun.stl",
-    // "myo_sim/meshes/r_patella.stl",
-    // "myo_sim/meshes/r_pelvis.stl",
-    // "myo_sim/meshes/r_pis.stl",
-    // "myo_sim/meshes/r_scaph.stl",
-    // "myo_sim/meshes/r_talus.stl",
-    // "myo_sim/meshes/r_tibia.stl",
-    // "myo_sim/meshes/r_triq.stl",
-    // "myo_sim/meshes/r_trpzd.stl",
-    // "myo_sim/meshes/r_trpzm.stl",
-    "myo_sim/meshes/radius.stl",
-    // "myo_sim/meshes/radius_lv.stl",
-    // "myo_sim/meshes/radius_rv.stl",
-    // "myo_sim/meshes/ring_distal_lvs.stl",
-    // "myo_sim/meshes/ring_distal_rvs.stl",
-    // "myo_sim/meshes/ring_medial_lvs.stl",
-    // "myo_sim/meshes/ring_medial_rvs.stl",
-    // "myo_sim/meshes/ring_proximal_lvs.stl",
-    // "myo_sim/meshes/ring_proximal_rvs.stl",
-    "myo_sim/meshes/sacrum.stl",
-    "myo_sim/meshes/scaphoid.stl",
-    // "myo_sim/meshes/scaphoid_lvs.stl",
-    // "myo_sim/meshes/scaphoid_rvs.stl",
-    "myo_sim/meshes/scapula.stl",
-    "myo_sim/meshes/thorax.stl",
-    // "myo_sim/meshes/thumb_distal_lvs.stl",
-    // "myo_sim/meshes/thumb_distal_rvs.stl",
-    // "myo_sim/meshes/thumb_proximal_lvs.stl",
-    // "myo_sim/meshes/thumb_proximal_rvs.stl",
-    "myo_sim/meshes/thumbdist.stl",
-    "myo_sim/meshes/thumbprox.stl",
-    "myo_sim/meshes/torso_lowpoly.stl",
-    "myo_sim/meshes/trapezium.stl",
-    // "myo_sim/meshes/trapezium_lvs.stl",
-    // "myo_sim/meshes/trapezium_rvs.stl",
-    "myo_sim/meshes/trapezoid.stl",
-    // "myo_sim/meshes/trapezoid_lvs.stl",
-    // "myo_sim/meshes/trapezoid_rvs.stl",
-    "myo_sim/meshes/triquetrum.stl",
-    // "myo_sim/meshes/triquetrum_lvs.stl",
-    // "myo_sim/meshes/triquetrum_rvs.stl",
-    "myo_sim/meshes/ulna.stl",
-    // "myo_sim/meshes/ulna_lv.stl",
-    // "myo_sim/meshes/ulna_rv.stl",
-    "myo_sim/scene/floor0.png",
-    "myo_sim/scene/myosuite_logo.obj",
-    "myo_sim/scene/myosuite_logo.png",
-    // "myo_sim/scene/myosuite_logo.xml",
-    // "myo_sim/scene/myosuite_scene.obj",
-    "myo_sim/scene/myosuite_scene.png",
-    // "myo_sim/scene/myosuite_scene.xml",
-    "myo_sim/scene/myosuite_scene_noFloor.obj",
-    // "myo_sim/scene/myosuite_scene_noFloor.png",
-    // "myo_sim/scene/myosuite_scene_noFloor_noPedestal.obj",
-    // "myo_sim/scene/myosuite_scene_noPedestal.xml",
-    // "myo_sim/myolegs/myolegs_v0.5(mj231).mjb",
-  ];
-
-  let requests = allFiles.map((url) => fetch("./examples/scenes/" + url));
-  let responses = await Promise.all(requests);
-  for (let i = 0; i < responses.length; i++) {
-    let split = allFiles[i].split("/");
-    let working = '/working/';
-    for (let f = 0; f < split.length - 1; f++) {
-      working += split[f];
-      if (!mujoco.FS.analyzePath(working).exists) { mujoco.FS.mkdir(working); }
-      working += "/";
-    }
-
-    if (allFiles[i].endsWith(".png") || allFiles[i].endsWith(".stl") || allFiles[i].endsWith(".skn") || allFiles[i].endsWith(".mjb")) {
-      mujoco.FS.writeFile("/working/" + allFiles[i], new Uint8Array(await responses[i].arrayBuffer()));
-    } else {
-      mujoco.FS.writeFile("/working/" + allFiles[i], await responses[i].text());
-    }
-  }
-}
-
-/** Access the vector at index, swizzle for three.js, and apply to the target THREE.Vector3
- * @param {Float32Array|Float64Array} buffer
- * @param {number} index
- * @param {THREE.Vector3} target */
-export function getPosition(buffer, index, target, swizzle = true) {
-  if (swizzle) {
-    return target.set(
-      buffer[(index * 3) + 0],
-      buffer[(index * 3) + 2],
-      -buffer[(index * 3) + 1]);
-  } else {
-    return target.set(
-      buffer[(index * 3) + 0],
-      buffer[(index * 3) + 1],
-      buffer[(index * 3) + 2]);
-  }
-}
-
-/** Access the quaternion at index, swizzle for three.js, and apply to the target THREE.Quaternion
- * @param {Float32Array|Float64Array} buffer
- * @param {number} index
- * @param {THREE.Quaternion} target */
-export function getQuaternion(buffer, index, target, swizzle = true) {
-  if (swizzle) {
-    return target.set(
-      -buffer[(index * 4) + 1],
-      -buffer[(index * 4) + 3],
-      buffer[(index * 4) + 2],
-      -buffer[(index * 4) + 0]);
-  } else {
-    return target.set(
-      buffer[(index * 4) + 0],
-      buffer[(index * 4) + 1],
-      buffer[(index * 4) + 2],
-      buffer[(index * 4) + 3]);
-  }
-}
-
-/** Converts this Vector3's Handedness to MuJoCo's Coordinate Handedness
- * @param {THREE.Vector3} target */
-export function toMujocoPos(target) { return target.set(target.x, -target.z, target.y); }
-
 /** Standard normal random number generator using Box-Muller transform */
 export function standardNormal() {
   return Math.sqrt(-2.0 * Math.log(Math.random())) *
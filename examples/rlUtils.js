@@ -1,49 +1,41 @@
-// Import ONNX Runtime properly
-// We'll use a script loading approach instead of dynamic import
-let ort = null;
-
-// Function to load ONNX Runtime via script tag
-function loadOrtScript() {
-  return new Promise((resolve, reject) => {
-    // If ort is already defined, use it
-    if (window.ort) {
-      ort = window.ort;
-      console.log('Using existing ONNX Runtime from window.ort');
-      resolve(true);
-      return;
-    }
-
-    // Create a script element to load ONNX Runtime
-    const script = document.createElement('script');
-    script.src = 'https://cdn.jsdelivr.net/npm/onnxruntime-web@1.15.1/dist/ort.min.js';
-    script.async = true;
-
-    // Set up load event
-    script.onload = () => {
-      if (window.ort) {
-        ort = window.ort;
-        console.log('ONNX Runtime loaded successfully via script tag');
-        resolve(true);
-      } else {
-        console.error('Failed to load ONNX Runtime: window.ort not defined after script load');
-        reject(new Error('ONNX Runtime not available after script load'));
-      }
-    };
-
-    // Set up error event
-    script.onerror = () => {
-      reject(new Error('Failed to load ONNX Runtime script'));
-    };
-
-    // Add the script to the document
-    document.head.appendChild(script);
-  });
+import { ObservationSpec } from './utils/ObservationSpec.js';
+import { ActionMapping } from './utils/ActionMapping.js';
+import { InferenceWorker } from './utils/InferenceWorker.js';
+import { PolicyManifest } from './utils/PolicyManifest.js';
+import { PolicyBinding } from './utils/PolicyBinding.js';
+import { SeededRandom } from './utils/SeededRandom.js';
+
+// Execution provider settings, tried in order. Plain wasm is always the last
+// resort; ONNX Runtime itself drops SIMD or threads where they are unsupported.
+// The small MLP policies used here usually run fastest on wasm.
+export const EXECUTION_PROVIDERS = {
+  'wasm-threads': { label: 'WASM (SIMD + threads)', providers: ['wasm'], simd: true, threads: true },
+  'wasm-simd': { label: 'WASM (SIMD)', providers: ['wasm'], simd: true, threads: false },
+  'wasm': { label: 'WASM (basic)', providers: ['wasm'], simd: false, threads: false },
+  'webgl': { label: 'WebGL', providers: ['webgl', 'wasm'], simd: true, threads: false },
+  'webgpu': { label: 'WebGPU', providers: ['webgpu', 'wasm'], simd: true, threads: false }
+};
+
+// ONNX Runtime runs in a dedicated worker per execution provider setting, shared by every RLController
+const inferenceWorkers = new Map();
+function getInferenceWorker(executionProvider) {
+  if (!inferenceWorkers.has(executionProvider)) {
+    inferenceWorkers.set(executionProvider,
+      new InferenceWorker(new URL('./rlWorker.js', import.meta.url), EXECUTION_PROVIDERS[executionProvider]));
+  }
+  return inferenceWorkers.get(executionProvider);
 }
 
-// Load ONNX Runtime immediately
-loadOrtScript().catch(error => {
-  console.error('Initial ONNX Runtime loading failed:', error);
-});
+/**
+ * Stop a worker that no longer serves any session
+ * @param {InferenceWorker} worker - Worker to stop
+ */
+function retireInferenceWorker(worker) {
+  for (const [executionProvider, cached] of inferenceWorkers) {
+    if (cached === worker) { inferenceWorkers.delete(executionProvider); }
+  }
+  worker.terminate();
+}
 
 // Class for managing RL model inference
 export class RLController {
@@ -55,403 +47,315 @@ export class RLController {
     this.inferenceCount = 0;
     this.lastObservation = null;
     this.lastAction = null;
+    this.lastValue = null;
+    this.observationSpec = null;
+    this.binding = null;
+    this.episode = 0;
+    this.actionMapping = null;
+    this.modelPath = null;
+    this.loadCounter = 0;
+    this.lastError = null;
+    this.pendingInference = null;
+    this.heldActuators = null;
+    this.heldControl = null;
+    this.executionProvider = 'wasm-threads';
+    this.sessionFactory = null;       // (modelBuffer, options) => session; defaults to the provider's inference worker
+    this.sampling = 'deterministic';  // 'deterministic' (Gaussian mean) or 'stochastic'
+    this.random = new SeededRandom(0);
     this.debug = true; // Set to false to disable verbose logging
   }
 
   /**
-   * Load ONNX model
-   * @param {string} modelPath - Path to the ONNX model file
+   * Choose the execution provider setting for models loaded from now on; the
+   * current session keeps its provider until the next `loadModel`
+   * @param {string} executionProvider - Key of EXECUTION_PROVIDERS
    */
-  async loadModel(modelPath) {
+  setExecutionProvider(executionProvider) {
+    if (!EXECUTION_PROVIDERS[executionProvider]) {
+      throw new Error(`Unknown execution provider "${executionProvider}"; ` +
+        `expected one of ${Object.keys(EXECUTION_PROVIDERS).join(', ')}`);
+    }
+    this.executionProvider = executionProvider;
+  }
+
+  /**
+   * Choose how actions are taken from a Gaussian policy: its mean (evaluation), or sampled with the exported log-std
+   * as during training. Sampling uses a seeded generator that restarts from `seed` at every episode (resetState),
+   * so stochastic rollouts are reproducible.
+   * @param {string} sampling - 'deterministic' or 'stochastic'
+   * @param {number} seed - Seed of the sampling noise
+   */
+  setSampling(sampling, seed = this.random.seed) {
+    if (sampling !== 'deterministic' && sampling !== 'stochastic') {
+      throw new Error(`Unknown sampling mode "${sampling}"; expected deterministic or stochastic`);
+    }
+    this.sampling = sampling;
+    this.random.reset(seed);
+  }
+
+  /**
+   * Load ONNX model and its policy spec (observation layout and action mapping). The previously loaded model keeps
+   * serving inference until the new one is ready, then it is swapped in and disposed.
+   * @param {string|Blob} modelSource - Path to the ONNX model file, or the model itself (e.g. a dropped File)
+   * @param {string|object} specSource - Path to the policy spec, or the parsed spec; defaults to the model path with a
+   *   .json extension
+   * @param {object} model - MuJoCo model the policy will drive; when given, the new session is checked against it
+   *   before it is swapped in (see validateSession)
+   * @returns {Promise<boolean>} whether the model was loaded; see `lastError` on failure
+   */
+  async loadModel(modelSource, specSource = null, model = null) {
+    // Only the most recent request may swap its session in
+    const loadID = ++this.loadCounter;
+    this.lastError = null;
+    const modelPath = typeof modelSource === 'string' ? modelSource : modelSource.name;
+
     try {
-      // Ensure ONNX Runtime is loaded
-      if (!ort) {
-        try {
-          // Try loading via script tag
-          await loadOrtScript();
-        } catch (error) {
-          console.error('Failed to load ONNX Runtime:', error);
-          return false;
+      let modelBuffer;
+      if (typeof modelSource === 'string') {
+        console.log(`Attempting to fetch model from: ${modelPath}`);
+        const modelResponse = await fetch(modelPath);
+        if (!modelResponse.ok) {
+          return this.failLoad(`Model not found at ${modelPath}: ${modelResponse.status} ${modelResponse.statusText}`);
         }
+        modelBuffer = await modelResponse.arrayBuffer();
+      } else {
+        modelBuffer = await modelSource.arrayBuffer();
       }
-
-      if (!ort || !ort.InferenceSession) {
-        console.error('ONNX Runtime not properly loaded');
-        return false;
+      console.log(`Model read successfully from ${modelPath}, size: ${modelBuffer.byteLength} bytes`);
+
+      // Load the observation spec and action mapping that belong to the model
+      let policySpec = specSource;
+      let observationSpec = null;
+      let actionMapping = null;
+      try {
+        if (policySpec === null || typeof policySpec === 'string') {
+          const policySpecPath = policySpec || modelPath.replace(/\.onnx$/, '.json');
+          policySpec = await fetchPolicySpec(policySpecPath);
+          console.log(`Policy spec loaded from ${policySpecPath}`);
+        }
+        observationSpec = new ObservationSpec(policySpec);
+        actionMapping = new ActionMapping(policySpec.action);
+      } catch (error) {
+        return this.failLoad('Failed to load policy spec', error);
       }
 
-      // Try different paths if the primary path fails
-      const pathsToTry = [
-        modelPath,
-        './examples/models/baseline.onnx',  // default model
-      ];
+      // Set up ONNX Runtime options; the worker falls back through the providers in order
+      const options = {
+        executionProviders: EXECUTION_PROVIDERS[this.executionProvider].providers,
+        graphOptimizationLevel: 'all',
+      };
 
-      let modelBuffer = null;
-      let successPath = null;
+      // Create session from model buffer inside the inference worker
+      console.log(`Creating inference session from model loaded at ${modelPath} (${this.executionProvider})...`);
+      const session = this.sessionFactory ? await this.sessionFactory(modelBuffer, options) :
+        await getInferenceWorker(this.executionProvider).createSession(modelBuffer, options);
+      console.log(`Inference session running on ${session.provider}`);
+
+      // Bind the model's inputs and outputs by name
+      const binding = new PolicyBinding(policySpec, observationSpec);
+      try {
+        binding.bind(session);
+      } catch (error) {
+        await releaseSession(session);
+        return this.failLoad(`Cannot bind the inputs/outputs of ${modelPath}`, error);
+      }
 
-      // Try each path until one works
-      for (const path of pathsToTry) {
+      if (model) {
         try {
-          console.log(`Attempting to fetch model from: ${path}`);
-          const modelResponse = await fetch(path);
-
-          if (modelResponse.ok) {
-            modelBuffer = await modelResponse.arrayBuffer();
-            successPath = path;
-            console.log(`Model fetched successfully from ${path}, size: ${modelBuffer.byteLength} bytes`);
-            break;
-          } else {
-            console.warn(`Failed to fetch model from ${path}: ${modelResponse.status} ${modelResponse.statusText}`);
-          }
+          await this.validateSession(session, binding, actionMapping, model);
         } catch (error) {
-          console.warn(`Error fetching model from ${path}:`, error);
+          await releaseSession(session);
+          return this.failLoad(`${modelPath} does not fit the current model`, error);
         }
       }
 
-      if (!modelBuffer) {
-        console.error('Failed to fetch model from any of the paths');
+      if (loadID !== this.loadCounter) {
+        console.log(`Discarding ${modelPath}; a newer model was requested while it loaded`);
+        await releaseSession(session);
         return false;
       }
 
-      // Set up ONNX Runtime options
-      const options = {
-        executionProviders: ['wasm'],
-        graphOptimizationLevel: 'all',
-      };
-
-      // Create session from model buffer
-      console.log(`Creating inference session from model loaded at ${successPath}...`);
-      this.session = await ort.InferenceSession.create(modelBuffer, options);
+      // Hot-swap the new policy in, then dispose the old session once it is idle
+      const previousSession = this.session;
+      this.session = session;
+      this.observationSpec = observationSpec;
+      this.actionMapping = actionMapping;
+      this.binding = binding;
+      this.modelPath = modelPath;
+      this.inferenceCount = 0;
+      this.lastObservation = null;
+      this.lastAction = null;
+      this.lastValue = null;
       this.isModelLoaded = true;
+      if (previousSession) {
+        if (this.pendingInference) { await this.pendingInference.catch(() => null); }
+        await releaseSession(previousSession);
+        if (previousSession.worker !== session.worker) { retireInferenceWorker(previousSession.worker); }
+      }
       console.log('RL model loaded successfully');
       return true;
     } catch (error) {
-      console.error('Error loading RL model:', error);
-      return false;
+      return this.failLoad('Error loading RL model', error);
     }
   }
 
   /**
-   * Get observation from MuJoCo simulation - matches the Python implementation
-   * @param {object} simulation - MuJoCo simulation object
+   * Check a new session against the MuJoCo model before it serves the simulation: the policy spec must compile for
+   * the model, and the session must accept observations of the spec's sizes and return one action value per actuator
+   * the action mapping drives (by default all `nu`). The shapes seen are kept on the session for getModelDiagnostics.
+   * @param {object} session - Inference session from the worker
+   * @param {PolicyBinding} binding - Input/output binding of the policy, already bound to the session
+   * @param {ActionMapping} actionMapping - Action mapping of the policy
    * @param {object} model - MuJoCo model object
-   * @returns {Float32Array} observation vector
    */
-  getObservation(simulation, model) {
-    try {
-      // Validate simulation and model
-      if (!simulation) {
-        console.error('Simulation object is null or undefined');
-        return new Float32Array(0);
-      }
-
-      if (!model) {
-        console.error('Model object is null or undefined');
-        return new Float32Array(0);
-      }
-
-      // Log available properties for debugging
-      this.log('Simulation properties: ' + Object.keys(simulation).join(', '));
-
-      // Extract relevant state components from simulation
-      const qpos = simulation.qpos || new Float32Array(0);
-      const qvel = simulation.qvel || new Float32Array(0);
-
-      // Check if actuator properties exist, use empty arrays if not
-      const actuator_length = simulation.actuator_length ||
-        (simulation.ten_length ? simulation.ten_length : new Float32Array(0));
-      const actuator_velocity = simulation.actuator_velocity ||
-        (simulation.ten_velocity ? simulation.ten_velocity : new Float32Array(0));
-      const actuator_force = simulation.actuator_force || new Float32Array(0);
-
-      // Log sizes for debugging
-      this.log(`State vector sizes: qpos=${qpos.length}, qvel=${qvel.length}, ` +
-        `actuator_length=${actuator_length.length}, actuator_velocity=${actuator_velocity.length}, ` +
-        `actuator_force=${actuator_force.length}`);
-
-      // Create observation arrays for different components
-      const nu = model.nu || 0;
-      const actuator_pos_data = new Float32Array(nu);
-      const actuator_vel_data = new Float32Array(nu);
-      const actuator_force_data = new Float32Array(nu);
-
-      // Fill actuator state arrays
-      for (let i = 0; i < nu; i++) {
-        actuator_pos_data[i] = i < actuator_length.length ? actuator_length[i] : 0;
-        actuator_vel_data[i] = i < actuator_velocity.length ? actuator_velocity[i] : 0;
-        actuator_force_data[i] = i < actuator_force.length ? actuator_force[i] : 0;
-      }
-
-      // Calculate relevant body positions and velocities
-      let body_pos_data = [];
-      let body_vel_data = [];
-
-      // Get target body positions and velocities (for bimanual arm scenario)
-      // These would be end effector positions/velocities in the Python implementation
-      for (let b = 0; b < model.nbody; b++) {
-        // Check if this is an end effector or target body
-        const bodyName = this.getBodyName(model, b);
-        if (bodyName && (
-          bodyName.includes('target') ||
-          bodyName.includes('grasp') ||
-          bodyName.includes('end_effector'))) {
-
-          // Get position (xyz)
-          for (let j = 0; j < 3; j++) {
-            body_pos_data.push(simulation.xpos[b * 3 + j]);
-          }
-
-          // Get velocity (xyz)
-          for (let j = 0; j < 3; j++) {
-            body_vel_data.push(simulation.xvel[b * 3 + j]);
-          }
-        }
-      }
-
-      // Convert array-like body data to Float32Array
-      const body_pos = new Float32Array(body_pos_data);
-      const body_vel = new Float32Array(body_vel_data);
-
-      // Combine all observation components into a single observation vector
-      // The exact shape should match what the model expects
-      const fullObsLength = qpos.length + qvel.length +
-        actuator_pos_data.length +
-        actuator_vel_data.length +
-        actuator_force_data.length +
-        body_pos.length + body_vel.length;
-
-      const fullObsData = new Float32Array(fullObsLength);
-
-      // Fill the observation array with all components
-      let offset = 0;
-
-      // Joint positions and velocities
-      fullObsData.set(qpos, offset);
-      offset += qpos.length;
-
-      fullObsData.set(qvel, offset);
-      offset += qvel.length;
-
-      // Actuator states
-      fullObsData.set(actuator_pos_data, offset);
-      offset += actuator_pos_data.length;
-
-      fullObsData.set(actuator_vel_data, offset);
-      offset += actuator_vel_data.length;
-
-      fullObsData.set(actuator_force_data, offset);
-      offset += actuator_force_data.length;
-
-      // Body positions and velocities
-      fullObsData.set(body_pos, offset);
-      offset += body_pos.length;
-
-      fullObsData.set(body_vel, offset);
-
-      this.log(`Created full observation vector with ${fullObsData.length} elements`);
-
-      // ERROR: The model expects an input of size 210, but we're generating 381
-      // We need to adapt our observation to match the expected size
-
-      // SOLUTION: Create a processed observation matching the expected size
-      // Based on the error message, we need to output 210 elements
-
-      // Method 1: Select the most important elements (first approach)
-      const expectedSize = 210;
-      const processedObs = new Float32Array(expectedSize);
-
-      // Select the most important elements: 
-      // - First all joint positions and velocities
-      const jointStateSize = Math.min(qpos.length + qvel.length, expectedSize);
-      for (let i = 0; i < jointStateSize && i < expectedSize; i++) {
-        processedObs[i] = i < qpos.length ? qpos[i] : qvel[i - qpos.length];
-      }
-
-      // - Then add important actuator states if there's space
-      let processedOffset = jointStateSize;
-      const actuatorStateSize = Math.min(actuator_pos_data.length, expectedSize - processedOffset);
-      for (let i = 0; i < actuatorStateSize && processedOffset < expectedSize; i++) {
-        processedObs[processedOffset++] = actuator_pos_data[i];
-      }
-
-      // - Finally, add body positions if there's still space
-      const bodyPosSize = Math.min(body_pos.length, expectedSize - processedOffset);
-      for (let i = 0; i < bodyPosSize && processedOffset < expectedSize; i++) {
-        processedObs[processedOffset++] = body_pos[i];
-      }
-
-      // Fill any remaining elements with zeros
-      for (let i = processedOffset; i < expectedSize; i++) {
-        processedObs[i] = 0;
-      }
-
-      console.log(`Created processed observation vector with ${processedObs.length} elements (expected ${expectedSize})`);
-
-      // Store both the full and processed observations for debugging
-      this.fullObservation = fullObsData;
+  async validateSession(session, binding, actionMapping, model) {
+    const observations = {};
+    for (const input of binding.observationInputs) {
+      input.spec.compile(model);
+      observations[input.name] = new Float32Array(input.spec.size);
+    }
+    actionMapping.compile(model);
 
-      return processedObs;
+    const feeds = binding.feeds(observations);
+    let outputMap;
+    try {
+      outputMap = await session.run(feeds);
     } catch (error) {
-      console.error('Error creating observation:', error);
-      // Fallback to a simple observation of the expected size
-      const expectedSize = 210;
-      const fallbackObs = new Float32Array(expectedSize);
-
-      // Try to fill with qpos and qvel data if available
-      if (simulation.qpos) {
-        const qposLength = Math.min(simulation.qpos.length, expectedSize);
-        for (let i = 0; i < qposLength; i++) {
-          fallbackObs[i] = simulation.qpos[i];
-        }
-      }
+      const sizes = Object.entries(observations).map(([name, data]) => `${name}: ${data.length}`).join(', ');
+      throw new Error(`it does not accept the observations of its policy spec (${sizes}): ${error.message}`);
+    }
 
-      if (simulation.qvel) {
-        const qvelStart = Math.min(simulation.qpos ? simulation.qpos.length : 0, expectedSize);
-        const qvelLength = Math.min(simulation.qvel.length, expectedSize - qvelStart);
-        for (let i = 0; i < qvelLength; i++) {
-          fallbackObs[qvelStart + i] = simulation.qvel[i];
-        }
-      }
+    session.inputShapes = {};
+    for (const [name, tensor] of Object.entries(feeds)) { session.inputShapes[name] = tensor.dims; }
+    session.outputShapes = {};
+    for (const [name, tensor] of Object.entries(outputMap)) { session.outputShapes[name] = tensor.dims; }
 
-      return fallbackObs;
+    const { action } = binding.receive(outputMap);
+    binding.reset();
+    if (action.length !== actionMapping.targets.length) {
+      throw new Error(`it produces ${action.length} actions, but the action mapping drives ` +
+        `${actionMapping.targets.length} of the model's ${model.nu} actuators`);
     }
   }
 
   /**
-   * Helper function to get body name from model
-   * @param {object} model - MuJoCo model object
-   * @param {number} bodyId - Body ID
-   * @returns {string} Body name or null if not found
+   * Record and log a model loading failure
+   * @param {string} message - Description of the failure
+   * @param {Error} error - Underlying error, if any
+   * @returns {boolean} always false, so callers can `return this.failLoad(...)`
    */
-  getBodyName(model, bodyId) {
-    try {
-      if (!model || bodyId < 0 || bodyId >= model.nbody) {
-        return null;
-      }
-
-      // Check if this is available directly
-      if (model.names && model.name_bodyadr) {
-        const textDecoder = new TextDecoder("utf-8");
-        const nullChar = textDecoder.decode(new ArrayBuffer(1));
+  failLoad(message, error = null) {
+    this.lastError = error ? `${message}: ${error.message || error}` : message;
+    console.error(this.lastError);
+    return false;
+  }
 
-        // Get the name from the names array using the body address
-        const nameStr = textDecoder.decode(
-          model.names.subarray(model.name_bodyadr[bodyId])
-        );
+  /**
+   * Get observation from MuJoCo simulation, laid out as described by the policy's observation spec
+   * @param {object} simulation - MuJoCo simulation object
+   * @param {object} model - MuJoCo model object
+   * @param {object} extras - Values not stored in the simulation, e.g. `{ time }`
+   * @returns {Float32Array} observation vector
+   */
+  getObservation(simulation, model, extras = {}) {
+    if (!this.observationSpec) {
+      throw new Error('No observation spec loaded for the current policy');
+    }
 
-        // Split by null character to get the actual name
-        return nameStr.split(nullChar)[0];
-      }
+    const observation = this.observationSpec.assemble(simulation, model, extras);
+    this.log(`Created observation vector with ${observation.length} elements`);
+    return observation;
+  }
 
-      return null;
-    } catch (error) {
-      console.error('Error getting body name:', error);
-      return null;
+  /**
+   * Assemble every observation-fed input of the model (see PolicyBinding)
+   * @param {object} simulation - MuJoCo simulation object
+   * @param {object} model - MuJoCo model object
+   * @param {object} extras - Values not stored in the simulation, e.g. `{ time }`
+   * @returns {Object.<string, Float32Array>} observations by input name
+   */
+  getInputs(simulation, model, extras = {}) {
+    if (!this.binding) {
+      throw new Error('No policy loaded');
     }
+    return this.binding.observe(simulation, model, extras);
   }
 
   /**
    * Run inference on the model
-   * @param {Float32Array} observation - Observation array
-   * @returns {Float32Array} action array or null if model not loaded
+   * @param {Float32Array|Object.<string, Float32Array>} observations - Observations by input name (see getInputs), or
+   *   the main observation alone
+   * @returns {Float32Array} action array, or null if the model is not loaded or the policy was reset meanwhile
    */
-  async runInference(observation) {
-    if (!this.isModelLoaded || !this.session || !ort) {
-      console.warn('Model or ONNX Runtime not loaded. Cannot run inference.');
+  async runInference(observations) {
+    if (!this.isModelLoaded || !this.session) {
+      console.warn('Model not loaded. Cannot run inference.');
       return null;
     }
 
-    // Save the observation for debugging
-    this.lastObservation = observation;
-
-    try {
-      this.log(`Running inference with observation size: ${observation.length}`);
-
-      // If we can get model input shape, validate observation size
-      let requiredObsSize = 210; // Default based on error message
-      let inputShape = null;
-
-      // Try to get input shape info from the model
-      if (this.session.inputNames && this.session.inputNames.length > 0) {
-        const inputName = this.session.inputNames[0];
-        try {
-          // Get tensor shape info if available
-          const info = this.session.inputMetadata ? this.session.inputMetadata[inputName] : null;
-          if (info && info.dims && info.dims.length >= 2) {
-            inputShape = info.dims;
-            requiredObsSize = info.dims[1]; // Second dimension is feature count for batch=1
-            this.log(`Model expects input shape: [${inputShape.join(', ')}]`);
-          }
-        } catch (e) {
-          console.warn('Error getting input shape:', e);
-        }
-      }
-
-      // Ensure observation has correct size
-      if (observation.length !== requiredObsSize) {
-        this.log(`Observation size mismatch: got ${observation.length}, need ${requiredObsSize}`);
-
-        // Resize observation if needed
-        const resizedObs = new Float32Array(requiredObsSize);
-
-        // Copy as much data as possible
-        const copyLength = Math.min(observation.length, requiredObsSize);
-        for (let i = 0; i < copyLength; i++) {
-          resizedObs[i] = observation[i];
-        }
-
-        // Fill remaining with zeros if observation is too short
-        for (let i = copyLength; i < requiredObsSize; i++) {
-          resizedObs[i] = 0;
-        }
+    // Keep at most one request in flight; callers hold the last action meanwhile
+    if (this.pendingInference) {
+      throw new Error('An inference request is already in flight');
+    }
 
-        observation = resizedObs;
-        this.log(`Resized observation to ${observation.length} elements`);
-      }
+    if (this.sampling === 'stochastic' && !this.binding.logStdOutput) {
+      throw new Error('Stochastic sampling needs the policy\'s log-std output; re-export the policy with ' +
+        'models/converter.py or bind "outputs.logStd" in its policy spec');
+    }
 
-      // Create tensor from observation
-      const inputTensor = new ort.Tensor('float32', observation, [1, observation.length]);
+    if (observations instanceof Float32Array) {
+      observations = { [this.binding.observationInputs[0].name]: observations };
+    }
 
-      // Get the model input name from metadata if available, otherwise use "input" as default
-      const inputNames = this.session.inputNames || ['input'];
-      const inputName = inputNames[0];
-      this.log(`Using input tensor name: ${inputName}`);
+    // Save the observation for debugging
+    const binding = this.binding;
+    this.lastObservation = observations[binding.observationInputs[0].name];
+
+    // The observation must match the model input exactly; never pad or truncate
+    const requiredObsSize = this.getInputSize();
+    if (requiredObsSize !== null && this.lastObservation.length !== requiredObsSize) {
+      throw new Error(`Observation size mismatch: spec produced ${this.lastObservation.length} elements, ` +
+        `model expects ${requiredObsSize}`);
+    }
 
-      // Create input data object with the model's actual input name
-      const inputs = {};
-      inputs[inputName] = inputTensor;
+    try {
+      // Bind every input by name: observations (copied; specs reuse their buffers), recurrent state, episode starts
+      const inputs = binding.feeds(observations);
+      this.log(`Running inference with inputs: ${Object.entries(inputs).map(([name, t]) => `${name}[${t.dims}]`).join(', ')}`);
 
       // Record start time for performance tracking
+      const episode = this.episode;
       const startTime = performance.now();
 
-      // Run inference
-      const outputMap = await this.session.run(inputs);
+      // Run inference; loadModel waits on this before disposing a replaced session
+      this.pendingInference = this.session.run(inputs);
+      const outputMap = await this.pendingInference;
 
-      // Calculate inference time
+      // Calculate inference time, including the round trip to the worker
       const inferenceTime = performance.now() - startTime;
-      this.log(`Inference took ${inferenceTime.toFixed(2)}ms`);
-
-      // Get output tensor from the first output
-      const outputNames = this.session.outputNames || ['output'];
-      const outputName = outputNames[0];
-      this.log(`Using output tensor name: ${outputName}`);
-
-      const outputTensor = outputMap[outputName];
+      this.lastInferenceTime = inferenceTime;
+      this.log(`Inference took ${inferenceTime.toFixed(2)}ms (${this.session.lastInferenceTime.toFixed(2)}ms in worker)`);
 
-      if (!outputTensor) {
-        console.error('No output tensor found. Available outputs:', Object.keys(outputMap));
+      // A reset while the request ran starts a new episode; its state must not carry over
+      if (episode !== this.episode || binding !== this.binding) {
+        this.log('Discarding an action computed before the policy was reset');
         return null;
       }
 
+      // Pick the action and value outputs by name and carry the recurrent state over
+      const { action: mean, logStd, value } = binding.receive(outputMap);
+      const action = this.sampling === 'stochastic' ? this.sampleAction(mean, logStd) : mean;
+
       // Increment inference counter
       this.inferenceCount++;
 
-      // Save the action for debugging
-      this.lastAction = outputTensor.data;
+      // Save the action and value estimate for debugging and display
+      this.lastAction = action;
+      this.lastValue = value;
 
       // Log inference details
       if (this.inferenceCount % 10 === 0 || this.inferenceCount < 5) {
-        this.log(`Completed inference #${this.inferenceCount}`);
+        this.log(`Completed inference #${this.inferenceCount}${value !== null ? ` (value ${value.toFixed(3)})` : ''}`);
         if (this.lastAction.length > 0) {
           const sampleSize = Math.min(3, this.lastAction.length);
           const actionSample = Array.from(this.lastAction.slice(0, sampleSize))
@@ -465,72 +369,107 @@ export class RLController {
     } catch (error) {
       console.error('Error during inference:', error);
       return null;
+    } finally {
+      this.pendingInference = null;
+    }
+  }
+
+  /**
+   * Get the feature count of the model's main observation input, if the runtime exposes it
+   * @returns {number|null} expected observation size or null if unknown
+   */
+  getInputSize() {
+    const inputName = this.binding.observationInputs[0].name;
+    const info = this.session.inputMetadata ? this.session.inputMetadata[inputName] : null;
+    if (info && info.dims && info.dims.length >= 2 && typeof info.dims[1] === 'number') {
+      return info.dims[1]; // Second dimension is feature count for batch=1
+    }
+    return null;
+  }
+
+  /**
+   * Sample an action from the policy's Gaussian, `mean + exp(logStd) * N(0, 1)`
+   * @param {Float32Array} mean - Mean action
+   * @param {Float32Array} logStd - Log standard deviation, one per action or one shared by all
+   * @returns {Float32Array} sampled action
+   */
+  sampleAction(mean, logStd) {
+    if (logStd.length !== mean.length && logStd.length !== 1) {
+      throw new Error(`Log-std output has ${logStd.length} values for ${mean.length} actions`);
     }
+    const action = new Float32Array(mean.length);
+    for (let i = 0; i < mean.length; i++) {
+      action[i] = mean[i] + Math.exp(logStd[logStd.length === 1 ? 0 : i]) * this.random.normal();
+    }
+    return action;
+  }
+
+  /** Start a new episode: zero the recurrent state and restart the sampling noise, e.g. after a reset or reload */
+  resetState() {
+    this.episode++;
+    this.lastValue = null;
+    this.random.reset();
+    if (this.binding) { this.binding.reset(); }
   }
 
   /**
-   * Apply action to the simulation
+   * Apply action to the simulation through the policy's action mapping
    * @param {object} simulation - MuJoCo simulation object
+   * @param {object} model - MuJoCo model object
    * @param {Float32Array} action - Action array from model inference
+   * @param {object} params - GUI parameters; actuator sliders are keyed by actuator name
    */
-  applyAction(simulation, action) {
+  applyAction(simulation, model, action, params = null) {
     if (!action) {
       console.warn('No action provided to applyAction');
       return;
     }
 
-    try {
-      // Apply action values to the control array
-      const ctrl = simulation.ctrl;
-      const actionLength = Math.min(action.length, ctrl.length);
-
-      // Process and apply each action value
-      for (let i = 0; i < actionLength; i++) {
-        // Get the raw action value
-        let actionValue = action[i];
-
-        // Apply action processing similar to Python implementation
-
-        // 1. Clip action to valid range [-1, 1] if it's outside this range
-        actionValue = Math.max(-1, Math.min(1, actionValue));
-
-        // 2. Scale action to the appropriate range for the actuator
-        // In MuJoCo, actuator ranges are typically defined in actuator_ctrlrange
-        const ctrlRange = simulation.model ? simulation.model.actuator_ctrlrange : null;
-        if (ctrlRange && i * 2 + 1 < ctrlRange.length) {
-          const minValue = ctrlRange[i * 2];
-          const maxValue = ctrlRange[i * 2 + 1];
-
-          // Scale from [-1, 1] to [min, max]
-          actionValue = minValue + (actionValue + 1) * 0.5 * (maxValue - minValue);
-        }
+    const mapping = this.actionMapping || new ActionMapping();
+    const actuators = mapping.apply(simulation, model, action);
 
-        // 3. Apply the processed action to the control array
-        ctrl[i] = actionValue;
+    // Remember the controls so they can be held until the next policy tick
+    this.heldActuators = Int32Array.from(actuators);
+    this.heldControl = Float64Array.from(actuators, id => simulation.ctrl[id]);
 
-        // 4. Update any parameters that track the control values
-        if (window.demo && window.demo.params) {
-          const actuatorName = `Actuator ${i}`;
-          if (window.demo.params[actuatorName] !== undefined) {
-            window.demo.params[actuatorName] = actionValue;
-          }
+    // Keep the actuator sliders in sync with the control values
+    if (params) {
+      for (const id of actuators) {
+        const actuatorName = mapping.actuatorNames[id];
+        if (params[actuatorName] !== undefined) {
+          params[actuatorName] = simulation.ctrl[id];
         }
       }
+    }
 
-      // Log a subset of the actions for debugging
-      if (actionLength > 0) {
-        const actionsToLog = Math.min(5, actionLength);
-        const actionSample = Array.from(action.slice(0, actionsToLog));
-        console.log(`Action sample: [${actionSample.join(', ')}${actionLength > actionsToLog ? ', ...' : ''}]`);
+    // Log a subset of the actions for debugging
+    if (actuators.length > 0) {
+      const actionsToLog = Math.min(5, actuators.length);
+      this.log(`Action sample: [${Array.from(action.slice(0, actionsToLog)).join(', ')}${actuators.length > actionsToLog ? ', ...' : ''}]`);
+      const ctrlSample = Array.from(actuators.slice(0, actionsToLog), id => simulation.ctrl[id]);
+      this.log(`Control sample: [${ctrlSample.join(', ')}${actuators.length > actionsToLog ? ', ...' : ''}]`);
+    }
+  }
 
-        const ctrlSample = Array.from(ctrl.slice(0, actionsToLog));
-        console.log(`Control sample: [${ctrlSample.join(', ')}${ctrl.length > actionsToLog ? ', ...' : ''}]`);
-      }
-    } catch (error) {
-      console.error('Error applying actions:', error);
+  /**
+   * Zero-order hold: rewrite the controls of the last applied action, so that
+   * anything else touching ctrl between policy ticks does not leak into the rollout
+   * @param {object} simulation - MuJoCo simulation object
+   */
+  holdAction(simulation) {
+    if (!this.heldActuators) { return; }
+    const ctrl = simulation.ctrl;
+    for (let i = 0; i < this.heldActuators.length; i++) {
+      ctrl[this.heldActuators[i]] = this.heldControl[i];
     }
   }
 
+  /** Forget the held action, e.g. after a reset or reload */
+  resetHold() {
+    this.heldActuators = null;
+    this.heldControl = null;
+  }
+
   /**
    * Log debug information if debug mode is enabled
    * @param {string} message - Message to log
@@ -552,6 +491,7 @@ export class RLController {
 
     return {
       loaded: true,
+      executionProvider: this.session.provider,
       inputNames: this.session.inputNames || [],
       outputNames: this.session.outputNames || [],
       inferenceCount: this.inferenceCount,
@@ -575,13 +515,19 @@ export class RLController {
     try {
       const diagnostics = {
         loaded: true,
+        executionProvider: this.session.provider,
         inputNames: this.session.inputNames || [],
         outputNames: this.session.outputNames || [],
         inferenceCount: this.inferenceCount,
         inputShapes: {},
         outputShapes: {},
         lastObservationSize: this.lastObservation ? this.lastObservation.length : 0,
-        lastActionSize: this.lastAction ? this.lastAction.length : 0
+        lastActionSize: this.lastAction ? this.lastAction.length : 0,
+        recurrent: this.binding.isRecurrent,
+        valueOutput: this.binding.valueOutput,
+        logStdOutput: this.binding.logStdOutput,
+        sampling: this.sampling,
+        observationLayout: this.observationSpec && this.observationSpec.model ? this.observationSpec.describe() : []
       };
 
       // Try to extract input shapes
@@ -589,7 +535,8 @@ export class RLController {
         for (const name of this.session.inputNames) {
           try {
             const info = this.session.inputMetadata ? this.session.inputMetadata[name] : null;
-            diagnostics.inputShapes[name] = info && info.dims ? info.dims : 'unknown';
+            const probed = this.session.inputShapes ? this.session.inputShapes[name] : null;
+            diagnostics.inputShapes[name] = info && info.dims ? info.dims : probed || 'unknown';
           } catch (e) {
             diagnostics.inputShapes[name] = `error: ${e.message}`;
           }
@@ -601,7 +548,8 @@ export class RLController {
         for (const name of this.session.outputNames) {
           try {
             const info = this.session.outputMetadata ? this.session.outputMetadata[name] : null;
-            diagnostics.outputShapes[name] = info && info.dims ? info.dims : 'unknown';
+            const probed = this.session.outputShapes ? this.session.outputShapes[name] : null;
+            diagnostics.outputShapes[name] = info && info.dims ? info.dims : probed || 'unknown';
           } catch (e) {
             diagnostics.outputShapes[name] = `error: ${e.message}`;
           }
@@ -623,14 +571,39 @@ export class RLController {
 }
 
 /**
- * Helper function to determine if RL is supported for a given scene
- * @param {string} sceneName - Name of the scene
- * @returns {boolean} Whether RL is supported
+ * Fetch and parse a policy spec (see ObservationSpec and ActionMapping for its layout)
+ * @param {string} url - Path to the JSON spec file
+ * @returns {Promise<object>} parsed spec
  */
-export function isRLSupported(sceneName) {
-  const supportedScenes = [
-    "myo_sim/arm/myoarm_bionic_bimanual.mjb"
-  ];
+async function fetchPolicySpec(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Policy spec not found at ${url}: ${response.status} ${response.statusText}`);
+  }
+  return response.json();
+}
 
-  return supportedScenes.includes(sceneName);
-} 
\ No newline at end of file
+/**
+ * Release the resources held by an inference session, where the runtime supports it
+ * @param {object} session - ONNX Runtime inference session
+ */
+async function releaseSession(session) {
+  try {
+    if (session && session.release) { await session.release(); }
+  } catch (error) {
+    console.warn('Error releasing inference session:', error);
+  }
+}
+
+/**
+ * Fetch the manifest of available policies
+ * @param {string} url - Path to the manifest, e.g. ./examples/models/manifest.json
+ * @returns {Promise<PolicyManifest>} manifest with paths resolved against its URL
+ */
+export async function loadPolicyManifest(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Policy manifest not found at ${url}: ${response.status} ${response.statusText}`);
+  }
+  return new PolicyManifest(await response.json(), url);
+}
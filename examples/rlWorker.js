@@ -0,0 +1,105 @@
+// Web Worker that owns the ONNX Runtime sessions, so policy inference never
+// blocks the render loop. Every request carries an `id` that its reply echoes:
+//
+//   { type: 'init'   , id, config }                       -> { type: 'initialized', id, numThreads }
+//   { type: 'create' , id, model: ArrayBuffer, options }  -> { type: 'created' , id, session, provider, inputNames, outputNames }
+//   { type: 'run'    , id, session, feeds }               -> { type: 'result'  , id, outputs, inferenceTime }
+//   { type: 'release', id, session }                      -> { type: 'released', id }
+//   any request that fails                                -> { type: 'error'   , id, message }
+//
+// Tensors cross the boundary as plain `{ type, data, dims }` objects. `init` must
+// come first: it loads the runtime, which is served from node_modules like three.
+// `create` tries `options.executionProviders` one at a time and reports the first
+// that can run the model.
+const ORT_PATH = '../node_modules/onnxruntime-web/dist/';
+
+const sessions = new Map();
+let nextSessionID = 0;
+
+self.onmessage = async (event) => {
+  const request = event.data;
+  try {
+    if (request.type === 'init') {
+      const numThreads = initRuntime(request.config);
+      self.postMessage({ type: 'initialized', id: request.id, numThreads });
+    } else if (request.type === 'create') {
+      // Fall back through the providers in order; a backend can fail to
+      // initialise (e.g. no WebGPU adapter) or reject an operator in the model
+      const failures = [];
+      for (const provider of request.options.executionProviders) {
+        let session;
+        try {
+          session = await ort.InferenceSession.create(request.model, { ...request.options, executionProviders: [provider] });
+        } catch (error) {
+          console.warn(`[rlWorker] Execution provider ${provider} failed:`, error);
+          failures.push(`${provider}: ${error.message || error}`);
+          continue;
+        }
+        const sessionID = nextSessionID++;
+        sessions.set(sessionID, session);
+        self.postMessage({
+          type: 'created', id: request.id, session: sessionID, provider,
+          inputNames: session.inputNames, outputNames: session.outputNames
+        });
+        return;
+      }
+      throw new Error(`No execution provider could run the model (${failures.join('; ')})`);
+    } else if (request.type === 'run') {
+      const session = getSession(request.session);
+      const feeds = {};
+      for (const [name, tensor] of Object.entries(request.feeds)) {
+        feeds[name] = new ort.Tensor(tensor.type, tensor.data, tensor.dims);
+      }
+
+      const startTime = performance.now();
+      const outputMap = await session.run(feeds);
+      const inferenceTime = performance.now() - startTime;
+
+      const outputs = {};
+      for (const [name, tensor] of Object.entries(outputMap)) {
+        outputs[name] = { type: tensor.type, data: tensor.data, dims: tensor.dims };
+      }
+      self.postMessage({ type: 'result', id: request.id, outputs, inferenceTime });
+    } else if (request.type === 'release') {
+      const session = getSession(request.session);
+      sessions.delete(request.session);
+      if (session.release) { await session.release(); }
+      self.postMessage({ type: 'released', id: request.id });
+    } else {
+      throw new Error(`Unknown request type "${request.type}"`);
+    }
+  } catch (error) {
+    self.postMessage({ type: 'error', id: request.id, message: error.message || String(error) });
+  }
+};
+
+/**
+ * Load ONNX Runtime and configure its wasm backend. Runs once per worker, since
+ * the wasm flags cannot change after the first session has been created.
+ * @param {{providers: string[], simd: boolean, threads: boolean}} config - Execution provider setting
+ * @returns {number} number of wasm threads in use
+ */
+function initRuntime(config) {
+  if (self.ort) { throw new Error('ONNX Runtime is already initialised in this worker'); }
+
+  // The WebGPU build also carries the wasm backend, but not WebGL
+  const bundle = config.providers.includes('webgpu') ? 'ort.webgpu.min.js' : 'ort.min.js';
+  try {
+    importScripts(ORT_PATH + bundle);
+  } catch (error) {
+    throw new Error(`Could not load ONNX Runtime from ${ORT_PATH}${bundle} (run "npm install" in the repository root)`);
+  }
+
+  ort.env.wasm.wasmPaths = new URL(ORT_PATH, self.location.href).href;
+  ort.env.wasm.simd = config.simd;
+  // Threads need a cross-origin isolated page (COOP/COEP headers); without one
+  // the runtime would warn and fall back to a single thread anyway
+  ort.env.wasm.numThreads = config.threads && self.crossOriginIsolated ?
+    Math.min(4, navigator.hardwareConcurrency || 1) : 1;
+  return ort.env.wasm.numThreads;
+}
+
+function getSession(sessionID) {
+  if (!sessions.has(sessionID)) { throw new Error(`No inference session ${sessionID}`); }
+  return sessions.get(sessionID);
+}
@@ -1,10 +1,11 @@
 from pathlib import Path
+import hashlib
 import json
 import os
 
 _HERE = Path(__file__).parent
 
-_ALLOWED_EXTENSIONS = [".xml", ".png", ".stl", ".obj", ".mjb"]
+_ALLOWED_EXTENSIONS = [".xml", ".png", ".stl", ".obj", ".skn", ".mjb"]
 
 if __name__ == "__main__":
     files_to_download = []
@@ -13,5 +14,18 @@ if __name__ == "__main__":
          files_to_download.append(str(path.relative_to(_HERE)))
     files_to_download.sort()
     print(f"{files_to_download = }")
+
+    # A checkout without some of the files (e.g. the large .mjb files) must not publish an index and hashes without them
+    index_path = os.path.join(_HERE, "index.json")
+    if os.path.exists(index_path):
+        with open(index_path) as f:
+            missing = sorted(set(json.load(f)) - set(files_to_download))
+        if missing:
+            raise SystemExit(f"Listed in index.json but not found: {missing}; add them, or remove them from index.json to drop them")
     with open(os.path.join(_HERE, "index.json"), mode="w") as f:
         json.dump(files_to_download, f, indent=2)
+
+    # The demo caches the files in the browser under these hashes, so they must be updated with the files
+    hashes = {file: hashlib.sha256((_HERE / file).read_bytes()).hexdigest() for file in files_to_download}
+    with open(os.path.join(_HERE, "hashes.json"), mode="w") as f:
+        json.dump(hashes, f, indent=2)
@@ -0,0 +1,146 @@
+import { ModelIndex } from './ModelIndex.js';
+
+/** Declarative mapping from a policy's action vector to `simulation.ctrl`.
+ *
+ * A mapping is a JSON object of the form
+ *
+ *   {
+ *     "size": 80,
+ *     "actuators": ["ECRL", "ECRB", ...],
+ *     "pipeline": [
+ *       { "op": "clip",    "min": -1, "max": 1 },
+ *       { "op": "sigmoid", "gain": 5, "center": 0.5, "apply": "muscle" },
+ *       { "op": "rescale", "from": [-1, 1], "to": "ctrlrange", "apply": "nonmuscle" }
+ *     ]
+ *   }
+ *
+ * `actuators` (names) or `indices` (actuator ids) remap action entry i onto an
+ * actuator; by default action i drives actuator i. The pipeline runs in order on
+ * every entry, and each op may be restricted with `apply` to "muscle", "nonmuscle"
+ * or a list of actuator names. Supported ops:
+ *   identity                                     a
+ *   clip     { min, max } | { to: "ctrlrange" }  clamp(a, min, max)
+ *   affine   { scale, offset }                   a * scale + offset
+ *   rescale  { from: [lo, hi], to: [lo, hi] | "ctrlrange" }
+ *   sigmoid  { gain, center }                    1 / (1 + exp(-gain * (a - center)))
+ * Controls are finally clamped to `actuator_ctrlrange` for ctrl-limited actuators.
+ * Without a mapping, actions are written to ctrl unchanged (identity). */
+
+const mjDYN_MUSCLE = 3;
+
+export class ActionMapping {
+  /** @param {object} spec - Parsed action mapping (see module comment); may be omitted for identity */
+  constructor(spec = {}) {
+    this.spec = spec;
+    this.model = null;
+    this.targets = null;
+    this.actuatorNames = [];
+    this.steps = [];
+  }
+
+  /**
+   * Resolve actuator names and per-op actuator subsets against a model. Called
+   * automatically by `apply` whenever the model changes.
+   * @param {object} model - MuJoCo model object
+   */
+  compile(model) {
+    this.actuatorNames = ModelIndex.for(model).list('actuator');
+    const ids = new Map(this.actuatorNames.map((name, id) => [name, id]));
+    const resolve = (name) => {
+      if (!ids.has(name)) { throw new Error(`Action mapping references unknown actuator "${name}"`); }
+      return ids.get(name);
+    };
+
+    if (this.spec.actuators) {
+      this.targets = Int32Array.from(this.spec.actuators, resolve);
+    } else if (this.spec.indices) {
+      this.targets = Int32Array.from(this.spec.indices);
+    } else {
+      this.targets = Int32Array.from({ length: this.spec.size ?? model.nu }, (_, i) => i);
+    }
+    for (const id of this.targets) {
+      if (id < 0 || id >= model.nu) { throw new Error(`Action mapping targets actuator ${id}, model has ${model.nu}`); }
+    }
+    if (this.spec.size !== undefined && this.spec.size !== this.targets.length) {
+      throw new Error(`Action mapping declares size ${this.spec.size} but maps ${this.targets.length} actuators`);
+    }
+
+    this.steps = (this.spec.pipeline || []).map((op) => compileOp(model, op, this.targets, resolve));
+    this.model = model;
+  }
+
+  /**
+   * Map an action vector onto the control array
+   * @param {object} simulation - MuJoCo simulation object
+   * @param {object} model - MuJoCo model object
+   * @param {Float32Array} action - Raw action from the policy
+   * @returns {number[]} ids of the actuators that were written
+   */
+  apply(simulation, model, action) {
+    if (model !== this.model) { this.compile(model); }
+    if (action.length !== this.targets.length) {
+      throw new Error(`Action size mismatch: policy produced ${action.length} values, mapping expects ${this.targets.length}`);
+    }
+
+    const ctrl = simulation.ctrl;
+    const ctrlRange = model.actuator_ctrlrange;
+    for (let i = 0; i < action.length; i++) {
+      let value = action[i];
+      for (const step of this.steps) {
+        if (step.mask[i]) { value = step.map(value, i); }
+      }
+
+      const id = this.targets[i];
+      if (model.actuator_ctrllimited[id]) {
+        value = Math.max(ctrlRange[id * 2], Math.min(ctrlRange[id * 2 + 1], value));
+      }
+      ctrl[id] = value;
+    }
+    return this.targets;
+  }
+}
+
+function compileOp(model, op, targets, resolve) {
+  const ctrlRange = model.actuator_ctrlrange;
+  const low = (i) => ctrlRange[targets[i] * 2];
+  const high = (i) => ctrlRange[targets[i] * 2 + 1];
+  const mask = compileMask(model, op.apply, targets, resolve);
+
+  switch (op.op) {
+    case 'identity':
+      return { mask, map: (a) => a };
+    case 'clip':
+      if (op.to === 'ctrlrange') { return { mask, map: (a, i) => Math.max(low(i), Math.min(high(i), a)) }; }
+      return { mask, map: (a) => Math.max(op.min ?? -Infinity, Math.min(op.max ?? Infinity, a)) };
+    case 'affine':
+      return { mask, map: (a) => a * (op.scale ?? 1.0) + (op.offset ?? 0.0) };
+    case 'rescale': {
+      const [fromLow, fromHigh] = op.from || [-1.0, 1.0];
+      if (op.to === 'ctrlrange') {
+        return { mask, map: (a, i) => low(i) + (a - fromLow) / (fromHigh - fromLow) * (high(i) - low(i)) };
+      }
+      const [toLow, toHigh] = op.to;
+      return { mask, map: (a) => toLow + (a - fromLow) / (fromHigh - fromLow) * (toHigh - toLow) };
+    }
+    case 'sigmoid': {
+      const gain = op.gain ?? 1.0;
+      const center = op.center ?? 0.0;
+      return { mask, map: (a) => 1.0 / (1.0 + Math.exp(-gain * (a - center))) };
+    }
+  }
+  throw new Error(`Action mapping has unknown op "${op.op}"`);
+}
+
+/** @returns {Uint8Array} per action entry, whether an op applies to it */
+function compileMask(model, apply, targets, resolve) {
+  if (apply === undefined) { return new Uint8Array(targets.length).fill(1); }
+  if (apply === 'muscle' || apply === 'nonmuscle') {
+    const muscle = apply === 'muscle';
+    return Uint8Array.from(targets, (id) => (model.actuator_dyntype[id] === mjDYN_MUSCLE) === muscle ? 1 : 0);
+  }
+  if (Array.isArray(apply)) {
+    const selected = new Set(apply.map(resolve));
+    return Uint8Array.from(targets, (id) => selected.has(id) ? 1 : 0);
+  }
+  throw new Error(`Action mapping has unknown apply filter "${apply}"`);
+}
@@ -0,0 +1,99 @@
+const VERSION = 1;
+const FILES = 'files';          // SHA-256 of the contents -> Uint8Array
+const META = 'meta';            // 'index' -> {files, hashes, learned} of the last scene index seen online
+
+/** Persistent store of scene files in IndexedDB, keyed by the SHA-256 of their
+ * contents, so that returning visitors (and offline ones) load scenes without
+ * downloading them again. A file that changes on the server gets a new hash and is
+ * fetched again; `prune` drops the contents no file refers to any more. */
+export class AssetCache {
+  /** @param {string} name - Name of the IndexedDB database */
+  constructor(name = 'myosuite-scene-assets') {
+    this.name = name;
+    this.database = null;       // Promise of the open IDBDatabase
+  }
+
+  /** @returns {boolean} whether the page has IndexedDB, and SubtleCrypto to check the hashes with (secure contexts only) */
+  static get supported() {
+    return typeof indexedDB !== 'undefined' && typeof crypto !== 'undefined' && crypto.subtle !== undefined;
+  }
+
+  /**
+   * @param {string} hash - SHA-256 of the file's contents, in hex
+   * @returns {Promise<Uint8Array|null>} the contents, or null if they are not cached
+   */
+  async getFile(hash) {
+    const bytes = await this.request(FILES, 'readonly', (store) => store.get(hash));
+    return bytes || null;
+  }
+
+  /**
+   * @param {string} hash - SHA-256 of the file's contents, in hex
+   * @param {Uint8Array} bytes - The contents
+   */
+  async putFile(hash, bytes) {
+    await this.request(FILES, 'readwrite', (store) => store.put(bytes, hash));
+  }
+
+  /** @returns {Promise<{files: string[], hashes: Object.<string, string>, learned: Object.<string, string>}|null>} the cached scene index */
+  async getIndex() {
+    const index = await this.request(META, 'readonly', (store) => store.get('index'));
+    return index || null;
+  }
+
+  /**
+   * @param {{files: string[], hashes: Object.<string, string>, learned: Object.<string, string>}} index - Scene
+   *   index to use when offline: the files, their hashes from hashes.json, and the hashes of downloads it misses
+   */
+  async putIndex(index) {
+    await this.request(META, 'readwrite', (store) => store.put(index, 'index'));
+  }
+
+  /**
+   * Delete the cached contents whose hash is not in `hashes`
+   * @param {Set<string>} hashes - Hashes to keep
+   * @returns {Promise<number>} the number of files deleted
+   */
+  async prune(hashes) {
+    const keys = await this.request(FILES, 'readonly', (store) => store.getAllKeys());
+    const stale = keys.filter((key) => !hashes.has(key));
+    if (stale.length > 0) {
+      await this.request(FILES, 'readwrite', (store) => { stale.forEach((key) => store.delete(key)); });
+    }
+    return stale.length;
+  }
+
+  /** @returns {Promise<IDBDatabase>} the database, opened (and created) on first use */
+  open() {
+    if (this.database === null) {
+      this.database = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.name, VERSION);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(FILES);
+          request.result.createObjectStore(META);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.database;
+  }
+
+  /**
+   * Run an operation in a transaction on one store
+   * @param {string} storeName - Object store to use
+   * @param {string} mode - "readonly" or "readwrite"
+   * @param {function(IDBObjectStore): (IDBRequest|void)} operation - Issues the requests
+   * @returns {Promise<*>} the result of the request the operation returned, once the transaction completes
+   */
+  async request(storeName, mode, operation) {
+    const database = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(storeName, mode);
+      const request = operation(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+}
@@ -0,0 +1,198 @@
+import { ModelIndex } from './ModelIndex.js';
+
+const mjJNT_FREE = 0, mjJNT_BALL = 1, mjJNT_SLIDE = 2;
+const mjWRAP_SITE = 3, mjWRAP_SPHERE = 4, mjWRAP_CYLINDER = 5;
+const mjTRN_TENDON = 3;
+const CONTACT_SIZE = 21;      // Numbers per contact in Simulation.contacts()
+const JOINT_TYPES = ['free', 'ball', 'slide', 'hinge'];
+
+/** Floating panel describing one body of the model: its name, mass and inertia,
+ * its joints with their current positions and limits, the tendons (and muscles
+ * pulling on them) that pass through its sites or wrap around its geoms, and the
+ * contacts it is involved in. Values refresh live while the panel is open. */
+export class BodyInspector {
+  /**
+   * @param {HTMLElement} container - Element to show the panel in
+   * @param {function(): void} onClose - Called when the user closes the panel
+   */
+  constructor(container, onClose = () => {}) {
+    this.bodyID = null;
+    this.joints = [];           // Joint ids of the body
+    this.tendons = [];          // {id, actuator} for tendons attached to the body
+    this.names = null;
+    this.refreshInterval = 100; // Milliseconds between refreshes.
+    this.lastRefresh = 0;
+
+    this.element = document.createElement('div');
+    this.element.style.position = 'absolute';
+    this.element.style.top = '40px';
+    this.element.style.left = '10px';
+    this.element.style.maxHeight = '60%';
+    this.element.style.overflowY = 'auto';
+    this.element.style.color = 'white';
+    this.element.style.font = 'normal 13px Arial';
+    this.element.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+    this.element.style.padding = '10px';
+    this.element.style.borderRadius = '10px';
+    this.element.style.display = 'none';
+
+    const closeButton = document.createElement('button');
+    closeButton.innerHTML = 'Close';
+    closeButton.style.float = 'right';
+    closeButton.onclick = () => {
+      this.close();
+      onClose();
+    };
+    this.element.appendChild(closeButton);
+    this.content = document.createElement('div');
+    this.element.appendChild(this.content);
+    container.appendChild(this.element);
+  }
+
+  /**
+   * Open the panel on a body
+   * @param {object} model - MuJoCo model object
+   * @param {number} bodyID - Body to inspect
+   */
+  inspect(model, bodyID) {
+    this.bodyID = bodyID;
+    this.names = ModelIndex.for(model);
+
+    this.joints = [];
+    for (let j = model.body_jntadr[bodyID]; j < model.body_jntadr[bodyID] + model.body_jntnum[bodyID]; j++) {
+      this.joints.push(j);
+    }
+
+    // Tendons whose path passes through a site or wraps around a geom of this body
+    const tendonActuator = new Int32Array(model.ntendon).fill(-1);
+    for (let i = 0; i < model.nu; i++) {
+      if (model.actuator_trntype[i] === mjTRN_TENDON) { tendonActuator[model.actuator_trnid[2 * i]] = i; }
+    }
+    this.tendons = [];
+    for (let t = 0; t < model.ntendon; t++) {
+      for (let w = model.tendon_adr[t]; w < model.tendon_adr[t] + model.tendon_num[t]; w++) {
+        const type = model.wrap_type[w];
+        const object = model.wrap_objid[w];
+        const attached = (type === mjWRAP_SITE && model.site_bodyid[object] === bodyID) ||
+          ((type === mjWRAP_SPHERE || type === mjWRAP_CYLINDER) && model.geom_bodyid[object] === bodyID);
+        if (attached) {
+          this.tendons.push({ id: t, actuator: tendonActuator[t] });
+          break;
+        }
+      }
+    }
+
+    this.element.style.display = 'block';
+    this.lastRefresh = 0;
+  }
+
+  /** Close the panel */
+  close() {
+    this.bodyID = null;
+    this.element.style.display = 'none';
+  }
+
+  /**
+   * Refresh the live values, at most every `refreshInterval` milliseconds
+   * @param {object} model - MuJoCo model object
+   * @param {object} simulation - MuJoCo simulation object, or the StateMirror of a physics worker
+   */
+  update(model, simulation) {
+    if (this.bodyID === null) { return; }
+    const now = performance.now();
+    if (now - this.lastRefresh < this.refreshInterval) { return; }
+    this.lastRefresh = now;
+
+    const b = this.bodyID;
+    const name = (type, id) => this.names.name(type, id) || `#${id}`;
+    const number = (value, digits = 3) => Number(value).toFixed(digits);
+    // Model names are shown as text, never parsed as HTML
+    const title = document.createElement('div');
+    title.style.font = 'bold 16px Arial';
+    title.style.marginBottom = '6px';
+    title.textContent = name('body', b);
+    const rows = [title];
+
+    rows.push(section('Body'));
+    rows.push(row('Mass', `${number(model.body_mass[b])} kg`));
+    rows.push(row('Inertia', `${[0, 1, 2].map(k => number(model.body_inertia[3 * b + k], 5)).join(', ')} kg·m²`));
+
+    rows.push(section('Joints'));
+    if (this.joints.length === 0) { rows.push(row('None', '')); }
+    for (const j of this.joints) {
+      const type = model.jnt_type[j];
+      const qpos = model.jnt_qposadr[j];
+      let value;
+      if (type === mjJNT_FREE) {
+        value = `pos ${[0, 1, 2].map(k => number(simulation.qpos[qpos + k])).join(', ')}`;
+      } else if (type === mjJNT_BALL) {
+        value = `quat ${[0, 1, 2, 3].map(k => number(simulation.qpos[qpos + k])).join(', ')}`;
+      } else if (type === mjJNT_SLIDE) {
+        value = `${number(simulation.qpos[qpos])} m`;
+      } else {
+        value = `${number(simulation.qpos[qpos] * 180 / Math.PI, 1)}°`;
+      }
+      if (model.jnt_limited[j] && type !== mjJNT_FREE) {
+        const scale = type === mjJNT_SLIDE ? 1 : 180 / Math.PI;
+        const unit = type === mjJNT_SLIDE ? ' m' : '°';
+        value += ` (limits ${number(model.jnt_range[2 * j] * scale, 1)}${unit} to ${number(model.jnt_range[2 * j + 1] * scale, 1)}${unit})`;
+      }
+      rows.push(row(name('joint', j), value, JOINT_TYPES[type]));
+    }
+
+    rows.push(section('Muscles and tendons'));
+    if (this.tendons.length === 0) { rows.push(row('None', '')); }
+    for (const { id, actuator } of this.tendons) {
+      let value = `length ${number(simulation.ten_length[id])} m, velocity ${number(simulation.ten_velocity[id])} m/s`;
+      if (actuator >= 0) {
+        const adr = model.actuator_actadr[actuator];
+        value += `, force ${number(simulation.actuator_force[actuator], 1)} N`;
+        if (adr >= 0) { value += `, activation ${number(simulation.act[adr])}`; }
+      }
+      rows.push(row(actuator >= 0 ? name('actuator', actuator) : name('tendon', id), value));
+    }
+
+    rows.push(section('Contacts'));
+    if (typeof simulation.contacts !== 'function') {
+      rows.push(row('n/a', 'contact data is not exposed by this MuJoCo build'));
+    } else {
+      const contacts = simulation.contacts();
+      let found = 0;
+      for (let i = 0; i < contacts.length; i += CONTACT_SIZE) {
+        const body1 = model.geom_bodyid[contacts[i + 13]];
+        const body2 = model.geom_bodyid[contacts[i + 14]];
+        if (body1 !== b && body2 !== b) { continue; }
+        rows.push(row(`with ${name('body', body1 === b ? body2 : body1)}`,
+          `normal force ${number(contacts[i + 15], 2)} N, distance ${number(contacts[i + 12] * 1000, 2)} mm`));
+        found++;
+      }
+      if (found === 0) { rows.push(row('None', '')); }
+    }
+
+    this.content.replaceChildren(...rows);
+  }
+}
+
+/** @returns {HTMLElement} a section heading */
+function section(title) {
+  const element = document.createElement('div');
+  element.style.fontWeight = 'bold';
+  element.style.marginTop = '8px';
+  element.textContent = title;
+  return element;
+}
+
+/** @returns {HTMLElement} a labelled value, with an optional dimmed note after the label */
+function row(label, value, note = '') {
+  const element = document.createElement('div');
+  element.style.marginLeft = '8px';
+  element.textContent = label;
+  if (note) {
+    const span = document.createElement('span');
+    span.style.opacity = '0.6';
+    span.textContent = ` ${note}`;
+    element.appendChild(span);
+  }
+  if (value) { element.appendChild(document.createTextNode(`: ${value}`)); }
+  return element;
+}
@@ -0,0 +1,39 @@
+import * as THREE from 'three';
+
+// Colormaps as evenly spaced sRGB control points, interpolated linearly.
+const COLORMAPS = {
+  viridis : ['#440154', '#482878', '#3e4989', '#31688e', '#26828e', '#1f9e89', '#35b779', '#6ece58', '#b5de2b', '#fde725'],
+  inferno : ['#000004', '#1b0c41', '#4a0c6b', '#781c6d', '#a52c60', '#cf4446', '#ed6925', '#fb9b06', '#f7d13d', '#fcffa4'],
+  turbo   : ['#30123b', '#4662d7', '#36aaf9', '#1ae4b6', '#72fe5e', '#c7ef34', '#fabb39', '#f66b19', '#cb2a04', '#7a0403'],
+  coolwarm: ['#3b4cc0', '#6282ea', '#8db0fe', '#b8d0f9', '#dddcdc', '#f5c4ad', '#f49a7b', '#de604d', '#b40426'],
+};
+
+const controlPoints = {};   // Colormap name -> parsed THREE.Colors
+
+/** @returns {string[]} names of the available colormaps */
+export function colormapNames() {
+  return Object.keys(COLORMAPS);
+}
+
+/**
+ * @param {string} name - Colormap name
+ * @param {number} value - Position on the colormap, clamped to [0, 1]
+ * @param {THREE.Color} target - Colour to write into
+ * @returns {THREE.Color} the colormap's colour at `value`
+ */
+export function sampleColormap(name, value, target) {
+  if (!COLORMAPS[name]) { throw new Error(`Unknown colormap "${name}"`); }
+  if (!controlPoints[name]) { controlPoints[name] = COLORMAPS[name].map(hex => new THREE.Color(hex)); }
+  const points = controlPoints[name];
+  const x = Math.min(Math.max(value, 0.0), 1.0) * (points.length - 1);
+  const i = Math.min(Math.floor(x), points.length - 2);
+  return target.copy(points[i]).lerp(points[i + 1], x - i);
+}
+
+/**
+ * @param {string} name - Colormap name
+ * @returns {string} CSS gradient of the colormap from 0 (left) to 1 (right), for legends
+ */
+export function colormapGradient(name) {
+  return `linear-gradient(to right, ${COLORMAPS[name].join(', ')})`;
+}
@@ -0,0 +1,129 @@
+import * as THREE from 'three';
+import { sampleColormap } from './Colormaps.js';
+
+const CONTACT_SIZE = 21;      // Numbers per contact in Simulation.contacts(), see the typings
+const MAX_CONTACTS = 512;     // Contacts drawn at most
+
+/** Draws the active contacts: a point at each contact, its normal, and an arrow for the
+ * contact force (from mj_contactForce, rotated out of the contact frame), with length
+ * proportional to the force and coloured by its magnitude. Needs a MuJoCo build that
+ * exposes `Simulation.contacts()`; with older builds the overlay stays empty. */
+export class ContactOverlay {
+  /** @param {THREE.Object3D} parent - Object to add the overlay to */
+  constructor(parent) {
+    this.visible = false;
+    this.forceScale = 0.01;     // Arrow length per newton (m/N).
+    this.maxForce = 50.0;       // Force at the top of the colormap (N).
+    this.normalLength = 0.03;   // Length of the normal lines (m).
+    this.colormap = 'inferno';
+    this.supported = null;      // Whether the MuJoCo build exposes contacts; known after the first update.
+    this.count = 0;             // Contacts drawn in the last update.
+
+    this.group = new THREE.Group();
+    this.group.name = 'Contact Overlay';
+    this.group.visible = false;
+    parent.add(this.group);
+
+    // Overlay materials ignore depth so contacts inside meshes stay visible
+    const material = new THREE.MeshBasicMaterial({ depthTest: false, transparent: true });
+    this.points = new THREE.InstancedMesh(new THREE.SphereGeometry(1, 8, 8), material, MAX_CONTACTS);
+    this.shafts = new THREE.InstancedMesh(new THREE.CylinderGeometry(1, 1, 1, 8).translate(0, 0.5, 0), material, MAX_CONTACTS);
+    this.heads = new THREE.InstancedMesh(new THREE.ConeGeometry(1, 1, 8).translate(0, 0.5, 0), material, MAX_CONTACTS);
+    for (const mesh of [this.points, this.shafts, this.heads]) {
+      mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(MAX_CONTACTS * 3), 3);
+      mesh.renderOrder = 1;
+      mesh.frustumCulled = false;
+      mesh.count = 0;
+      this.group.add(mesh);
+    }
+    this.normals = new THREE.LineSegments(new THREE.BufferGeometry(),
+      new THREE.LineBasicMaterial({ color: 0xffffff, depthTest: false, transparent: true }));
+    this.normals.geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(MAX_CONTACTS * 6), 3));
+    this.normals.renderOrder = 1;
+    this.normals.frustumCulled = false;
+    this.group.add(this.normals);
+
+    this.position = new THREE.Vector3();
+    this.normal = new THREE.Vector3();
+    this.force = new THREE.Vector3();
+    this.color = new THREE.Color();
+    this.matrix = new THREE.Matrix4();
+    this.rotation = new THREE.Quaternion();
+    this.scale = new THREE.Vector3();
+    this.up = new THREE.Vector3(0, 1, 0);
+  }
+
+  /**
+   * Redraw the overlay from the current contacts
+   * @param {object} simulation - MuJoCo simulation object, or the StateMirror of a physics worker
+   */
+  update(simulation) {
+    this.group.visible = this.visible;
+    if (!this.visible) { return; }
+    if (this.supported === null) {
+      this.supported = typeof simulation.contacts === 'function';
+      if (!this.supported) { console.warn('[Contacts] This MuJoCo build does not expose contacts; rebuild the WASM module'); }
+    }
+    if (!this.supported) { return; }
+
+    const contacts = simulation.contacts();
+    const count = Math.min(contacts.length / CONTACT_SIZE, MAX_CONTACTS);
+    const lines = this.normals.geometry.attributes.position.array;
+    let arrows = 0;
+    for (let i = 0; i < count; i++) {
+      const c = contacts.subarray(i * CONTACT_SIZE, (i + 1) * CONTACT_SIZE);
+      setSwizzled(this.position, c[0], c[1], c[2]);
+      setSwizzled(this.normal, c[3], c[4], c[5]);
+
+      // Contact-frame force to world: the rows of `frame` are the normal and the two tangents
+      this.force.set(0, 0, 0);
+      for (let k = 0; k < 3; k++) {
+        this.force.x += c[15 + k] * c[3 + 3 * k];
+        this.force.y += c[15 + k] * c[5 + 3 * k];
+        this.force.z -= c[15 + k] * c[4 + 3 * k];
+      }
+      const magnitude = this.force.length();
+      sampleColormap(this.colormap, magnitude / this.maxForce, this.color);
+
+      const radius = 0.006;
+      this.scale.set(radius, radius, radius);
+      this.points.setMatrixAt(i, this.matrix.compose(this.position, this.rotation.identity(), this.scale));
+      this.points.setColorAt(i, this.color);
+
+      lines.set([this.position.x, this.position.y, this.position.z,
+        this.position.x + this.normal.x * this.normalLength,
+        this.position.y + this.normal.y * this.normalLength,
+        this.position.z + this.normal.z * this.normalLength], i * 6);
+
+      const length = magnitude * this.forceScale;
+      if (length > 1e-4) {
+        this.rotation.setFromUnitVectors(this.up, this.force.divideScalar(magnitude));
+        const head = Math.min(0.02, 0.3 * length);
+        this.scale.set(0.002, length - head, 0.002);
+        this.shafts.setMatrixAt(arrows, this.matrix.compose(this.position, this.rotation, this.scale));
+        this.scale.set(0.006, head, 0.006);
+        this.heads.setMatrixAt(arrows, this.matrix.compose(
+          this.position.addScaledVector(this.force, length - head), this.rotation, this.scale));
+        this.shafts.setColorAt(arrows, this.color);
+        this.heads.setColorAt(arrows, this.color);
+        arrows++;
+      }
+    }
+
+    this.count = count;
+    this.points.count = count;
+    this.shafts.count = arrows;
+    this.heads.count = arrows;
+    this.normals.geometry.setDrawRange(0, count * 2);
+    this.normals.geometry.attributes.position.needsUpdate = true;
+    for (const mesh of [this.points, this.shafts, this.heads]) {
+      mesh.instanceMatrix.needsUpdate = true;
+      mesh.instanceColor.needsUpdate = true;
+    }
+  }
+}
+
+/** Set a THREE.Vector3 from MuJoCo's z-up coordinates (as getPosition does) */
+function setSwizzled(target, x, y, z) {
+  return target.set(x, z, -y);
+}
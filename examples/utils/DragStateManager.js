@@ -28,6 +28,8 @@ export class DragStateManager {
 
         this.previouslySelected = null;
         this.higlightColor = 0xff0000;  // 0x777777
+        this.onSelect = null;           // Called with the double-clicked body ID, or null when deselected
+        this.isPointerTaken = null;     // Returns true while another control (e.g. a gizmo) handles the pointer
 
         this.localHit = new Vector3();
         this.worldHit = new Vector3();
@@ -102,6 +104,7 @@ export class DragStateManager {
         this.mouseDown = false;
     }
     onPointer(evt) {
+        if ((evt.type == "pointerdown" || evt.type == "dblclick") && this.isPointerTaken && this.isPointerTaken()) { return; }
         if (evt.type == "pointerdown") {
             this.start(evt.clientX, evt.clientY);
             this.mouseDown = true;
@@ -130,6 +133,13 @@ export class DragStateManager {
                     this.previouslySelected = null;
                 }
             }
+            if (this.onSelect) { this.onSelect(this.previouslySelected ? this.previouslySelected.bodyID : null); }
+        }
+    }
+    deselect() {
+        if (this.previouslySelected) {
+            this.previouslySelected.material.emissive.setHex(0x000000);
+            this.previouslySelected = null;
         }
     }
 }
@@ -0,0 +1,150 @@
+import * as THREE from 'three';
+import { encodeZip } from './Zip.js';
+
+/** Captures frames of a three.js scene at a fixed resolution, independent of the
+ * window size, and encodes them to a WebM video (MediaRecorder) or a zip of PNGs.
+ *
+ * Frames are rendered into an offscreen target `supersampling` times larger than
+ * the output and box-filtered down. With a transparent background, the scene
+ * background is cleared to alpha 0 (kept in the PNGs; WebM keeps it only where
+ * the browser encodes VP8/VP9 alpha).
+ *
+ * MediaRecorder timestamps frames by wall-clock time, so WebM frames are handed
+ * over no faster than `fps`; when rendering cannot keep up the video plays slower
+ * than the simulation (`behind` is set). PNG sequences are exact at any speed. */
+export class FrameCapture {
+  /**
+   * @param {THREE.WebGLRenderer} renderer - Renderer of the viewer
+   * @param {{format: string, fps: number, width: number, height: number, supersampling: number, transparent: boolean}} options
+   *   - format is "webm" or "png"
+   */
+  constructor(renderer, options) {
+    this.renderer = renderer;
+    this.format = options.format;
+    this.fps = options.fps;
+    this.width = Math.max(2, Math.round(options.width / 2) * 2);   // Video encoders want even sizes
+    this.height = Math.max(2, Math.round(options.height / 2) * 2);
+    this.supersampling = Math.max(1, Math.round(options.supersampling));
+    this.transparent = options.transparent;
+
+    this.frameCount = 0;
+    this.behind = false;
+    this.lastFrameWallTime = null;
+
+    this.target = new THREE.WebGLRenderTarget(this.width * this.supersampling, this.height * this.supersampling);
+    this.pixels = new Uint8Array(this.target.width * this.target.height * 4);
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = this.width;
+    this.canvas.height = this.height;
+    this.context = this.canvas.getContext('2d');
+    this.image = this.context.createImageData(this.width, this.height);
+
+    if (this.format === 'webm') {
+      const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+        .find(type => MediaRecorder.isTypeSupported(type));
+      if (!mimeType) { throw new Error('This browser cannot record WebM video; capture a PNG sequence instead'); }
+      this.stream = this.canvas.captureStream(0);
+      this.track = this.stream.getVideoTracks()[0];
+      this.chunks = [];
+      this.recorder = new MediaRecorder(this.stream, { mimeType, videoBitsPerSecond: 8 * this.width * this.height });
+      this.recorder.ondataavailable = (event) => { if (event.data.size > 0) { this.chunks.push(event.data); } };
+      this.recorder.start();
+    } else if (this.format === 'png') {
+      this.pngs = [];
+    } else {
+      throw new Error(`Unknown capture format "${this.format}"`);
+    }
+  }
+
+  /**
+   * @param {number} wallTimeMS - Timestamp from the animation loop
+   * @returns {boolean} whether the encoder takes another frame now
+   */
+  ready(wallTimeMS) {
+    if (this.format !== 'webm' || this.lastFrameWallTime === null) { return true; }
+    return wallTimeMS - this.lastFrameWallTime >= 1000.0 / this.fps - 1.0;
+  }
+
+  /**
+   * Render and encode one frame
+   * @param {THREE.Scene} scene - Scene to render
+   * @param {THREE.PerspectiveCamera} camera - Camera to render from; its aspect is matched to the output for the frame
+   * @param {number} wallTimeMS - Timestamp from the animation loop
+   */
+  captureFrame(scene, camera, wallTimeMS) {
+    const aspect = camera.aspect;
+    const background = scene.background;
+    const clearAlpha = this.renderer.getClearAlpha();
+    camera.aspect = this.width / this.height;
+    camera.updateProjectionMatrix();
+    if (this.transparent) {
+      scene.background = null;
+      this.renderer.setClearAlpha(0.0);
+    }
+
+    this.renderer.setRenderTarget(this.target);
+    this.renderer.render(scene, camera);
+    this.renderer.setRenderTarget(null);
+    this.renderer.readRenderTargetPixels(this.target, 0, 0, this.target.width, this.target.height, this.pixels);
+
+    camera.aspect = aspect;
+    camera.updateProjectionMatrix();
+    scene.background = background;
+    this.renderer.setClearAlpha(clearAlpha);
+
+    this.downsample();
+    this.context.putImageData(this.image, 0, 0);
+
+    if (this.format === 'webm') {
+      if (this.lastFrameWallTime !== null) {
+        this.behind = wallTimeMS - this.lastFrameWallTime > 1.5 * 1000.0 / this.fps;
+      }
+      this.track.requestFrame();
+    } else {
+      const name = `frame_${String(this.frameCount).padStart(6, '0')}.png`;
+      this.pngs.push(new Promise((resolve) => this.canvas.toBlob(resolve, 'image/png'))
+        .then(async (blob) => ({ name, data: new Uint8Array(await blob.arrayBuffer()) })));
+    }
+    this.lastFrameWallTime = wallTimeMS;
+    this.frameCount++;
+  }
+
+  /** Box-filter the supersampled pixels into the output image, flipping rows (GL reads bottom-up) */
+  downsample() {
+    const s = this.supersampling;
+    const sourceWidth = this.target.width;
+    const output = this.image.data;
+    const norm = 1.0 / (s * s);
+    for (let y = 0; y < this.height; y++) {
+      for (let x = 0; x < this.width; x++) {
+        let r = 0, g = 0, b = 0, a = 0;
+        for (let dy = 0; dy < s; dy++) {
+          let i = (((y * s + dy) * sourceWidth) + x * s) * 4;
+          for (let dx = 0; dx < s; dx++, i += 4) {
+            r += this.pixels[i]; g += this.pixels[i + 1]; b += this.pixels[i + 2]; a += this.pixels[i + 3];
+          }
+        }
+        const o = (((this.height - 1 - y) * this.width) + x) * 4;
+        output[o] = r * norm; output[o + 1] = g * norm; output[o + 2] = b * norm;
+        output[o + 3] = this.transparent ? a * norm : 255;
+      }
+    }
+  }
+
+  /**
+   * Stop capturing and encode the result
+   * @returns {Promise<{blob: Blob, filename: string}>} the video or zip of PNGs
+   */
+  async finish() {
+    this.target.dispose();
+    if (this.format === 'webm') {
+      const stopped = new Promise((resolve) => { this.recorder.onstop = resolve; });
+      this.recorder.stop();
+      await stopped;
+      this.track.stop();
+      return { blob: new Blob(this.chunks, { type: 'video/webm' }), filename: 'capture.webm' };
+    }
+    const files = await Promise.all(this.pngs);
+    return { blob: new Blob([encodeZip(files)], { type: 'application/zip' }), filename: 'capture_png.zip' };
+  }
+}
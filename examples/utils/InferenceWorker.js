@@ -0,0 +1,99 @@
+/** Main-thread client for rlWorker.js. Hands out session proxies with the same
+ * `inputNames`/`outputNames`/`run`/`release` surface as an ONNX Runtime
+ * InferenceSession, except that tensors are plain `{ type, data, dims }` objects. */
+export class InferenceWorker {
+  /**
+   * @param {string|URL} url - URL of the worker script
+   * @param {{providers: string[], simd: boolean, threads: boolean}} config - Execution provider setting
+   */
+  constructor(url, config) {
+    this.config = config;
+    this.worker = new Worker(url);
+    this.requests = new Map();
+    this.nextRequestID = 0;
+
+    this.worker.onmessage = (event) => {
+      const reply = event.data;
+      const request = this.requests.get(reply.id);
+      if (!request) { return; }
+      this.requests.delete(reply.id);
+      if (reply.type === 'error') {
+        request.reject(new Error(reply.message));
+      } else {
+        request.resolve(reply);
+      }
+    };
+
+    // A worker-level error (e.g. the runtime failed to load) fails every pending request
+    this.worker.onerror = (event) => {
+      const error = new Error(`Inference worker error: ${event.message}`);
+      for (const request of this.requests.values()) { request.reject(error); }
+      this.requests.clear();
+    };
+
+    // Load the runtime up front; sessions are created once it is ready
+    this.ready = this.request({ type: 'init', config });
+    this.ready.catch(() => null); // Reported by createSession
+  }
+
+  /**
+   * Send a request to the worker
+   * @param {object} message - Request without its `id`
+   * @param {Transferable[]} transfer - Buffers to hand over to the worker
+   * @returns {Promise<object>} the worker's reply
+   */
+  request(message, transfer = []) {
+    return new Promise((resolve, reject) => {
+      const id = this.nextRequestID++;
+      this.requests.set(id, { resolve, reject });
+      this.worker.postMessage({ ...message, id }, transfer);
+    });
+  }
+
+  /**
+   * Create an inference session inside the worker
+   * @param {ArrayBuffer} modelBuffer - ONNX model; transferred to the worker
+   * @param {object} options - ONNX Runtime session options
+   * @returns {Promise<WorkerSession>}
+   */
+  async createSession(modelBuffer, options) {
+    await this.ready;
+    const reply = await this.request({ type: 'create', model: modelBuffer, options }, [modelBuffer]);
+    return new WorkerSession(this, reply.session, reply.provider, reply.inputNames, reply.outputNames);
+  }
+
+  /** Stop the worker, disposing every session in it and failing pending requests */
+  terminate() {
+    this.worker.terminate();
+    const error = new Error('Inference worker terminated');
+    for (const request of this.requests.values()) { request.reject(error); }
+    this.requests.clear();
+  }
+}
+
+/** Proxy for an InferenceSession living in the worker */
+class WorkerSession {
+  constructor(worker, sessionID, provider, inputNames, outputNames) {
+    this.worker = worker;
+    this.sessionID = sessionID;
+    this.provider = provider;     // Execution provider that ended up running the model
+    this.inputNames = inputNames;
+    this.outputNames = outputNames;
+  }
+
+  /**
+   * Run the model
+   * @param {Object.<string, {type: string, data: Float32Array, dims: number[]}>} feeds - Named input tensors
+   * @returns {Promise<Object.<string, {type: string, data: Float32Array, dims: number[]}>>} named output tensors
+   */
+  async run(feeds) {
+    const reply = await this.worker.request({ type: 'run', session: this.sessionID, feeds });
+    this.lastInferenceTime = reply.inferenceTime;
+    return reply.outputs;
+  }
+
+  /** Dispose the session in the worker */
+  async release() {
+    await this.worker.request({ type: 'release', session: this.sessionID });
+  }
+}
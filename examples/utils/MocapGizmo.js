@@ -0,0 +1,113 @@
+import * as THREE from 'three';
+import { TransformControls } from '../../node_modules/three/examples/jsm/controls/TransformControls.js';
+
+/** A translate/rotate gizmo (three.js TransformControls) for posing mocap bodies, e.g.
+ * the targets of reach and pose tasks, while the simulation runs. The gizmo follows the
+ * attached body; moving it writes the new pose through `Simulation.applyPose`, which
+ * sets `mocap_pos` and `mocap_quat`. */
+export class MocapGizmo {
+  /**
+   * @param {THREE.Camera} camera - Camera the scene is viewed with
+   * @param {HTMLElement} domElement - Element receiving the pointer events
+   * @param {THREE.Scene} scene - Scene to add the gizmo to
+   * @param {object} orbitControls - Camera controls, disabled while the gizmo is dragged
+   */
+  constructor(camera, domElement, scene, orbitControls) {
+    this.bodyID = null;
+    this.changed = false;       // Whether the gizmo moved since the pose was last applied.
+
+    // The gizmo moves this proxy rather than the body's group, which is overwritten every frame
+    this.target = new THREE.Object3D();
+    this.target.name = 'Mocap Gizmo Target';
+    scene.add(this.target);
+
+    this.controls = new TransformControls(camera, domElement);
+    this.controls.setSize(0.75);
+    this.controls.addEventListener('dragging-changed', (event) => { orbitControls.enabled = !event.value; });
+    this.controls.addEventListener('objectChange', () => { this.changed = true; });
+    scene.add(this.controls);
+
+    this.position = new THREE.Vector3();
+    this.quaternion = new THREE.Quaternion();
+    this.inertialPosition = new THREE.Vector3();
+    this.inertialQuaternion = new THREE.Quaternion();
+  }
+
+  /** @returns {string} "translate" or "rotate" */
+  get mode() {
+    return this.controls.mode;
+  }
+
+  /** @param {string} mode - "translate" or "rotate" */
+  set mode(mode) {
+    this.controls.setMode(mode);
+  }
+
+  /** @returns {boolean} whether the pointer is on (or dragging) one of the gizmo's handles */
+  get active() {
+    return this.bodyID !== null && this.controls.axis !== null;
+  }
+
+  /**
+   * Attach the gizmo to a mocap body
+   * @param {object} model - MuJoCo model object
+   * @param {number|null} bodyID - Body to pose; the gizmo detaches for null and non-mocap bodies
+   * @returns {boolean} whether the gizmo is attached
+   */
+  attach(model, bodyID) {
+    if (bodyID === null || bodyID === undefined || !(model.body_mocapid[bodyID] >= 0)) {
+      this.detach();
+      return false;
+    }
+    this.bodyID = bodyID;
+    this.changed = false;
+    this.controls.attach(this.target);
+    return true;
+  }
+
+  /** Hide the gizmo */
+  detach() {
+    this.bodyID = null;
+    this.changed = false;
+    this.controls.detach();
+  }
+
+  /**
+   * Apply the gizmo's pose to the body if it was moved, otherwise follow the body
+   * @param {object} model - MuJoCo model object
+   * @param {object} simulation - MuJoCo simulation object
+   * @param {boolean} paused - Whether the simulation is paused
+   */
+  update(model, simulation, paused) {
+    const b = this.bodyID;
+    if (b === null) { return; }
+
+    if (this.changed) {
+      // applyPose takes the pose of the body's inertial frame: compose the body frame with it
+      fromSwizzledPosition(this.target.position, this.position);
+      fromSwizzledQuaternion(this.target.quaternion, this.quaternion);
+      this.inertialPosition.fromArray(model.body_ipos, 3 * b).applyQuaternion(this.quaternion).add(this.position);
+      this.inertialQuaternion.set(model.body_iquat[4 * b + 1], model.body_iquat[4 * b + 2],
+        model.body_iquat[4 * b + 3], model.body_iquat[4 * b]).premultiply(this.quaternion);
+      simulation.applyPose(b,
+        this.inertialPosition.x, this.inertialPosition.y, this.inertialPosition.z,
+        this.inertialQuaternion.w, this.inertialQuaternion.x, this.inertialQuaternion.y, this.inertialQuaternion.z,
+        paused ? 1 : 0);
+      this.changed = false;
+    } else if (!this.controls.dragging) {
+      const xpos = simulation.xpos, xquat = simulation.xquat;
+      this.target.position.set(xpos[3 * b], xpos[3 * b + 2], -xpos[3 * b + 1]);
+      this.target.quaternion.set(-xquat[4 * b + 1], -xquat[4 * b + 3], xquat[4 * b + 2], -xquat[4 * b]);
+    }
+  }
+}
+
+/** Convert a three.js position to MuJoCo's z-up coordinates */
+function fromSwizzledPosition(source, target) {
+  return target.set(source.x, -source.z, source.y);
+}
+
+/** Convert a three.js quaternion to MuJoCo's z-up frame (components stay in x, y, z, w order) */
+function fromSwizzledQuaternion(source, target) {
+  return target.set(-source.x, source.z, -source.y, -source.w);
+}
@@ -0,0 +1,232 @@
+// Named object types: [mjtObj value, name address field]. The address fields hold one
+// entry per object, so their lengths are the object counts.
+const OBJECT_TYPES = {
+  body    : [ 1, 'name_bodyadr'    ],
+  joint   : [ 3, 'name_jntadr'     ],
+  geom    : [ 5, 'name_geomadr'    ],
+  site    : [ 6, 'name_siteadr'    ],
+  camera  : [ 7, 'name_camadr'     ],
+  light   : [ 8, 'name_lightadr'   ],
+  mesh    : [ 9, 'name_meshadr'    ],
+  skin    : [10, 'name_skinadr'    ],
+  hfield  : [11, 'name_hfieldadr'  ],
+  texture : [12, 'name_texadr'     ],
+  material: [13, 'name_matadr'     ],
+  pair    : [14, 'name_pairadr'    ],
+  exclude : [15, 'name_excludeadr' ],
+  equality: [16, 'name_eqadr'      ],
+  tendon  : [17, 'name_tendonadr'  ],
+  actuator: [18, 'name_actuatoradr'],
+  sensor  : [19, 'name_sensoradr'  ],
+  numeric : [20, 'name_numericadr' ],
+  text    : [21, 'name_textadr'    ],
+  tuple   : [22, 'name_tupleadr'   ],
+  key     : [23, 'name_keyadr'     ],
+  plugin  : [24, 'name_pluginadr'  ],
+};
+
+// mjtJoint values and the number of qpos/qvel entries each joint type occupies.
+const JOINT_QPOS_WIDTH = { 0: 7, 1: 4, 2: 1, 3: 1 };
+const JOINT_QVEL_WIDTH = { 0: 6, 1: 3, 2: 1, 3: 1 };
+
+const indices = new WeakMap();   // Model -> ModelIndex
+
+/** Names of every named object type of a model, resolved once when the model is
+ * loaded, with lookups in both directions and accessors that resolve an object by
+ * name to views of its slices of the simulation buffers, e.g.
+ * `index.sensor(simulation, 'touch')` is the sensor's `sensordata` entries.
+ *
+ * `loadSceneFromURL` builds the index of each scene with `ModelIndex.build`, through
+ * the `mj_id2name` binding of the simulation; other modules share it through
+ * `ModelIndex.for(model)`, which decodes `model.names` itself for models that were
+ * loaded some other way. The views alias WASM memory: read them right away rather
+ * than keeping them across frames. */
+export class ModelIndex {
+  /**
+   * @param {object} model - MuJoCo model object
+   * @param {object} [simulation] - MuJoCo simulation object of the model, to look names up with `id2name`
+   */
+  constructor(model, simulation = null) {
+    this.model = model;
+    this.names = {};   // Type -> names by id ("" for unnamed objects)
+    this.ids = {};     // Type -> Map of name -> id
+    const textDecoder = new TextDecoder("utf-8");
+    const nullChar = textDecoder.decode(new ArrayBuffer(1));
+    for (const [type, [objectType, addressField]] of Object.entries(OBJECT_TYPES)) {
+      const addresses = model[addressField] ?? [];
+      // Unnamed objects are skipped rather than passed to id2name: builds from before
+      // the binding handled NULL names return garbage for them.
+      this.names[type] = Array.from(addresses, (address, id) =>
+        model.names[address] === 0 ? "" :
+        simulation ? simulation.id2name(objectType, id) :
+        textDecoder.decode(model.names.subarray(address)).split(nullChar)[0]);
+      this.ids[type] = new Map();
+      this.names[type].forEach((name, id) => { if (name) { this.ids[type].set(name, id); } });
+    }
+  }
+
+  /**
+   * Build the index of a newly loaded model and share it with `ModelIndex.for`
+   * @param {object} model - MuJoCo model object
+   * @param {object} simulation - MuJoCo simulation object of the model
+   * @returns {ModelIndex} the index of `model`
+   */
+  static build(model, simulation) {
+    const index = new ModelIndex(model, simulation);
+    indices.set(model, index);
+    return index;
+  }
+
+  /**
+   * @param {object} model - MuJoCo model object
+   * @returns {ModelIndex} the index of `model`, built on first use if `build` was not called
+   */
+  static for(model) {
+    let index = indices.get(model);
+    if (!index) {
+      index = new ModelIndex(model);
+      indices.set(model, index);
+    }
+    return index;
+  }
+
+  /**
+   * @param {string} type - Object type, see `types`
+   * @returns {number} the mjtObj value of the type, for the MuJoCo functions that take one
+   */
+  static objectType(type) {
+    if (!OBJECT_TYPES[type]) { throw new Error(`Unknown object type "${type}"; expected one of ${Object.keys(OBJECT_TYPES).join(', ')}`); }
+    return OBJECT_TYPES[type][0];
+  }
+
+  /** @returns {string[]} the supported object types */
+  static get types() {
+    return Object.keys(OBJECT_TYPES);
+  }
+
+  /**
+   * @param {string} type - Object type, see `types`
+   * @param {number} id - Object id
+   * @returns {string} the object's name, "" if it has none
+   */
+  name(type, id) {
+    return this.table(this.names, type)[id] ?? "";
+  }
+
+  /**
+   * @param {string} type - Object type, see `types`
+   * @param {number} id - Object id
+   * @returns {string} the object's name, or `<type><id>` for unnamed objects
+   */
+  label(type, id) {
+    return this.name(type, id) || `${type}${id}`;
+  }
+
+  /**
+   * @param {string} type - Object type, see `types`
+   * @param {string} name - Object name
+   * @returns {number} the object's id, or -1 if there is no such object
+   */
+  id(type, name) {
+    return this.table(this.ids, type).get(name) ?? -1;
+  }
+
+  /**
+   * @param {string} type - Object type, see `types`
+   * @param {string} name - Object name
+   * @returns {number} the object's id
+   * @throws {Error} if there is no such object
+   */
+  require(type, name) {
+    const id = this.id(type, name);
+    if (id < 0) { throw new Error(`Model has no ${type} named "${name}"`); }
+    return id;
+  }
+
+  /**
+   * @param {string} type - Object type, see `types`
+   * @returns {string[]} names of all objects of the type, by id ("" for unnamed objects)
+   */
+  list(type) {
+    return this.table(this.names, type);
+  }
+
+  /** @returns {{start: number, length: number}} the sensor's slice of `sensordata` */
+  sensorSlice(name) {
+    const id = this.require('sensor', name);
+    return { start: this.model.sensor_adr[id], length: this.model.sensor_dim[id] };
+  }
+
+  /** @returns {{start: number, length: number}} the joint's slice of `qpos` */
+  qposSlice(name) {
+    const id = this.require('joint', name);
+    return { start: this.model.jnt_qposadr[id], length: JOINT_QPOS_WIDTH[this.model.jnt_type[id]] };
+  }
+
+  /** @returns {{start: number, length: number}} the joint's slice of `qvel` */
+  qvelSlice(name) {
+    const id = this.require('joint', name);
+    return { start: this.model.jnt_dofadr[id], length: JOINT_QVEL_WIDTH[this.model.jnt_type[id]] };
+  }
+
+  /** @returns {Float64Array} the sensor's values in `sensordata` */
+  sensor(simulation, name) {
+    const { start, length } = this.sensorSlice(name);
+    return simulation.sensordata.subarray(start, start + length);
+  }
+
+  /** @returns {{qpos: Float64Array, qvel: Float64Array}} the joint's coordinates and velocities */
+  joint(simulation, name) {
+    const qpos = this.qposSlice(name);
+    const qvel = this.qvelSlice(name);
+    return {
+      qpos: simulation.qpos.subarray(qpos.start, qpos.start + qpos.length),
+      qvel: simulation.qvel.subarray(qvel.start, qvel.start + qvel.length),
+    };
+  }
+
+  /** @returns {{xpos: Float64Array, xquat: Float64Array}} the body's world position and orientation */
+  body(simulation, name) {
+    const id = this.require('body', name);
+    return {
+      xpos: simulation.xpos.subarray(id * 3, id * 3 + 3),
+      xquat: simulation.xquat.subarray(id * 4, id * 4 + 4),
+    };
+  }
+
+  /** @returns {{xpos: Float64Array, xmat: Float64Array}} the site's world position and rotation matrix */
+  site(simulation, name) {
+    const id = this.require('site', name);
+    return {
+      xpos: simulation.site_xpos.subarray(id * 3, id * 3 + 3),
+      xmat: simulation.site_xmat.subarray(id * 9, id * 9 + 9),
+    };
+  }
+
+  /** @returns {{ctrl: Float64Array, act: Float64Array, force: Float64Array, length: Float64Array}} the actuator's state */
+  actuator(simulation, name) {
+    const id = this.require('actuator', name);
+    const actadr = this.model.actuator_actadr[id];
+    return {
+      ctrl: simulation.ctrl.subarray(id, id + 1),
+      act: actadr >= 0 ? simulation.act.subarray(actadr, actadr + this.model.actuator_actnum[id]) : new Float64Array(0),
+      force: simulation.actuator_force.subarray(id, id + 1),
+      length: simulation.actuator_length.subarray(id, id + 1),
+    };
+  }
+
+  /** @returns {{length: Float64Array, velocity: Float64Array}} the tendon's length and lengthening speed */
+  tendon(simulation, name) {
+    const id = this.require('tendon', name);
+    return {
+      length: simulation.ten_length.subarray(id, id + 1),
+      velocity: simulation.ten_velocity.subarray(id, id + 1),
+    };
+  }
+
+  /** Look up a per-type table, rejecting unknown types */
+  table(tables, type) {
+    ModelIndex.objectType(type);
+    return tables[type];
+  }
+}
@@ -0,0 +1,98 @@
+import * as THREE from 'three';
+import { colormapNames, sampleColormap, colormapGradient } from './Colormaps.js';
+
+const mjTRN_TENDON = 3;
+const mjGAIN_MUSCLE = 2;
+
+/** Colours tendons by the activation or force of the actuator that pulls on them, so
+ * the muscles that are firing stand out. Values are normalised to [0, 1]: activation
+ * as is, force as a fraction of the muscle's peak isometric force (or of its force
+ * range, or of the largest force seen so far for other actuators). Tendons without
+ * an actuator keep the default tendon colour. */
+export class MuscleColoring {
+  constructor() {
+    this.mode = 'none';           // "none", "activation" or "force"
+    this.colormap = 'viridis';
+    this.defaultColor = new THREE.Color(0.8, 0.3, 0.3);
+    this.tendonActuator = new Int32Array(0);   // Tendon -> actuator driving it, or -1
+    this.forceScale = new Float64Array(0);     // Actuator -> force mapped to 1
+    this.forceMax = new Float64Array(0);       // Actuator -> largest force seen, for unscaled actuators
+    this.values = new Float64Array(0);         // Tendon -> normalised value, NaN without an actuator
+  }
+
+  /** @returns {string[]} names of the available colormaps */
+  static get colormaps() {
+    return colormapNames();
+  }
+
+  /**
+   * Map tendons to the actuators that drive them; call whenever a model is loaded
+   * @param {object} model - MuJoCo model object
+   */
+  setModel(model) {
+    this.tendonActuator = new Int32Array(model.ntendon).fill(-1);
+    this.forceScale = new Float64Array(model.nu);
+    this.forceMax = new Float64Array(model.nu);
+    this.values = new Float64Array(model.ntendon).fill(NaN);
+    for (let i = 0; i < model.nu; i++) {
+      if (model.actuator_trntype[i] === mjTRN_TENDON) {
+        this.tendonActuator[model.actuator_trnid[2 * i]] = i;
+      }
+      if (model.actuator_gaintype[i] === mjGAIN_MUSCLE) {
+        this.forceScale[i] = model.actuator_gainprm[10 * i + 2];  // Peak force, as computed by the compiler
+      } else if (model.actuator_forcelimited[i]) {
+        this.forceScale[i] = Math.max(Math.abs(model.actuator_forcerange[2 * i]), Math.abs(model.actuator_forcerange[2 * i + 1]));
+      }
+    }
+  }
+
+  /**
+   * Compute the normalised value of every tendon from the current state
+   * @param {object} model - MuJoCo model object
+   * @param {object} simulation - MuJoCo simulation object
+   */
+  update(model, simulation) {
+    if (this.mode === 'none') { return; }
+    for (let t = 0; t < this.values.length; t++) {
+      const i = this.tendonActuator[t];
+      if (i < 0) { this.values[t] = NaN; continue; }
+      let value;
+      if (this.mode === 'activation') {
+        // Actuators without activation dynamics act on their control directly
+        const adr = model.actuator_actadr[i];
+        value = adr >= 0 ? simulation.act[adr] : simulation.ctrl[i];
+      } else {
+        const force = Math.abs(simulation.actuator_force[i]);
+        let scale = this.forceScale[i];
+        if (!(scale > 0)) {
+          this.forceMax[i] = Math.max(this.forceMax[i], force);
+          scale = this.forceMax[i];
+        }
+        value = scale > 0 ? force / scale : 0.0;
+      }
+      this.values[t] = Math.min(Math.max(value, 0.0), 1.0);
+    }
+  }
+
+  /**
+   * @param {number} tendon - Tendon index
+   * @param {THREE.Color} target - Colour to write into
+   * @returns {THREE.Color} the colour of the tendon, as of the last `update`
+   */
+  tendonColor(tendon, target) {
+    const value = this.values[tendon];
+    if (this.mode === 'none' || Number.isNaN(value)) { return target.copy(this.defaultColor); }
+    return sampleColormap(this.colormap, value, target);
+  }
+
+  /** @returns {string} CSS gradient of the colormap from 0 (left) to 1 (right), for the legend */
+  cssGradient() {
+    return colormapGradient(this.colormap);
+  }
+
+  /** @returns {{title: string, min: string, max: string}} legend labels for the current mode */
+  legendLabels() {
+    if (this.mode === 'activation') { return { title: 'Muscle activation', min: '0', max: '1' }; }
+    return { title: 'Muscle force', min: '0', max: 'max force' };
+  }
+}
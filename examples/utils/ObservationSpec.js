@@ -0,0 +1,242 @@
+import { ModelIndex } from './ModelIndex.js';
+
+/** Declarative description of a policy's observation vector.
+ *
+ * A spec is a JSON object of the form
+ *
+ *   {
+ *     "size": 210,
+ *     "observation": [
+ *       { "name": "time",       "source": "time" },
+ *       { "name": "hand_qpos",  "source": "qpos", "joints": ["wrist_flexion", "pro_sup"] },
+ *       { "name": "hand_qvel",  "source": "qvel", "range": [0, 38], "scale": 0.1 },
+ *       { "name": "act",        "source": "act" },
+ *       { "name": "reach_err",  "source": "diff",
+ *         "a": { "source": "site_xpos", "sites": ["IFtip"] },
+ *         "b": { "source": "site_xpos", "sites": ["target"] } }
+ *     ]
+ *   }
+ *
+ * Components are concatenated in order. Each component reads one simulation
+ * buffer (`source`) and optionally selects a subset of it by `range` ([start, end)),
+ * explicit `indices`, or by object name (`joints`, `bodies`, `sites`, `sensors`,
+ * `actuators`, `tendons`). The selected values are transformed as
+ * `(value - offset) * scale`, where `offset` and `scale` are numbers or arrays.
+ * A component may declare its expected `size`; the spec may declare the total `size`.
+ * Any mismatch throws instead of being padded or truncated. */
+
+// mjtJoint values and the number of qpos/qvel entries each joint type occupies.
+const JOINT_QPOS_WIDTH = { 0: 7, 1: 4, 2: 1, 3: 1 };
+const JOINT_QVEL_WIDTH = { 0: 6, 1: 3, 2: 1, 3: 1 };
+
+// Object selectors and the ModelIndex type they name.
+const SELECTOR_TYPES = {
+  joints   : 'joint'   ,
+  bodies   : 'body'    ,
+  sites    : 'site'    ,
+  sensors  : 'sensor'  ,
+  actuators: 'actuator',
+  tendons  : 'tendon'  ,
+};
+
+// Simulation buffers a component can read from, with the selector that
+// maps named objects to entries of the buffer.
+const SOURCES = {
+  qpos             : { selector: 'joints'   , entries: (model, id) => jointEntries(model, id, model.jnt_qposadr, JOINT_QPOS_WIDTH) },
+  qvel             : { selector: 'joints'   , entries: (model, id) => jointEntries(model, id, model.jnt_dofadr , JOINT_QVEL_WIDTH) },
+  act              : { selector: 'actuators', entries: (model, id) => span(model.actuator_actadr[id], model.actuator_actnum[id]) },
+  ctrl             : { selector: 'actuators', entries: (model, id) => [id] },
+  actuator_length  : { selector: 'actuators', entries: (model, id) => [id] },
+  actuator_velocity: { selector: 'actuators', entries: (model, id) => [id] },
+  actuator_force   : { selector: 'actuators', entries: (model, id) => [id] },
+  ten_length       : { selector: 'tendons'  , entries: (model, id) => [id] },
+  ten_velocity     : { selector: 'tendons'  , entries: (model, id) => [id] },
+  sensordata       : { selector: 'sensors'  , entries: (model, id) => span(model.sensor_adr[id], model.sensor_dim[id]) },
+  xpos             : { selector: 'bodies'   , entries: (model, id) => span(id * 3, 3) },
+  xquat            : { selector: 'bodies'   , entries: (model, id) => span(id * 4, 4) },
+  site_xpos        : { selector: 'sites'    , entries: (model, id) => span(id * 3, 3) },
+  mocap_pos        : { selector: 'bodies'   , entries: (model, id) => mocapEntries(model, id, 3) },
+  mocap_quat       : { selector: 'bodies'   , entries: (model, id) => mocapEntries(model, id, 4) },
+};
+
+export class ObservationSpec {
+  /** @param {object} spec - Parsed observation spec (see module comment) */
+  constructor(spec) {
+    if (!spec || !Array.isArray(spec.observation) || spec.observation.length === 0) {
+      throw new Error('Observation spec must contain a non-empty "observation" array');
+    }
+    this.spec = spec;
+    this.model = null;
+    this.plan = [];
+    this.size = 0;
+    this.buffer = null;
+  }
+
+  /**
+   * Resolve names and index lists against a model. Called automatically by
+   * `assemble` whenever the model changes.
+   * @param {object} model - MuJoCo model object
+   */
+  compile(model) {
+    const names = ModelIndex.for(model);
+    this.plan = this.spec.observation.map((component, i) =>
+      compileComponent(model, names, component, component.name || `component ${i}`));
+    this.size = this.plan.reduce((total, step) => total + step.size, 0);
+
+    if (this.spec.size !== undefined && this.spec.size !== this.size) {
+      throw new Error(`Observation spec declares size ${this.spec.size} but its components add up to ${this.size} ` +
+        `(${this.plan.map(step => `${step.name}=${step.size}`).join(', ')})`);
+    }
+
+    this.model = model;
+    this.buffer = new Float32Array(this.size);
+  }
+
+  /**
+   * Assemble the observation vector from the current simulation state
+   * @param {object} simulation - MuJoCo simulation object
+   * @param {object} model - MuJoCo model object
+   * @param {object} extras - Values that are not stored in the simulation, e.g. `{ time }`
+   * @returns {Float32Array} observation vector; reused between calls
+   */
+  assemble(simulation, model, extras = {}) {
+    if (model !== this.model) { this.compile(model); }
+
+    let offset = 0;
+    for (const step of this.plan) {
+      step.read(simulation, extras, this.buffer, offset);
+      offset += step.size;
+    }
+    return this.buffer;
+  }
+
+  /** @returns {{name: string, size: number}[]} the resolved layout, for diagnostics */
+  describe() {
+    return this.plan.map(step => ({ name: step.name, size: step.size }));
+  }
+}
+
+function compileComponent(model, names, component, label) {
+  let step;
+  if (component.source === 'time') {
+    step = { size: 1, read: (simulation, extras, out, offset) => { out[offset] = extras.time ?? 0.0; } };
+  } else if (component.source === 'zeros') {
+    if (!(component.size > 0)) { throw new Error(`Observation component "${label}" needs a positive size`); }
+    step = { size: component.size, read: (simulation, extras, out, offset) => { out.fill(0.0, offset, offset + component.size); } };
+  } else if (component.source === 'diff') {
+    const a = compileComponent(model, names, component.a || {}, `${label}.a`);
+    const b = compileComponent(model, names, component.b || {}, `${label}.b`);
+    if (a.size !== b.size) {
+      throw new Error(`Observation component "${label}" subtracts size ${b.size} from size ${a.size}`);
+    }
+    const scratch = new Float32Array(b.size);
+    step = {
+      size: a.size, read: (simulation, extras, out, offset) => {
+        a.read(simulation, extras, out, offset);
+        b.read(simulation, extras, scratch, 0);
+        for (let i = 0; i < scratch.length; i++) { out[offset + i] -= scratch[i]; }
+      }
+    };
+  } else if (component.source in SOURCES) {
+    const indices = selectIndices(model, names, component, label);
+    const source = component.source;
+    step = {
+      size: indices.length, read: (simulation, extras, out, offset) => {
+        const buffer = simulation[source];
+        for (let i = 0; i < indices.length; i++) { out[offset + i] = buffer[indices[i]]; }
+      }
+    };
+  } else {
+    throw new Error(`Observation component "${label}" has unknown source "${component.source}"`);
+  }
+
+  if (component.size !== undefined && component.size !== step.size) {
+    throw new Error(`Observation component "${label}" declares size ${component.size} but resolves to ${step.size}`);
+  }
+
+  const read = applyTransform(step.read, step.size, component, label);
+  return { name: label, size: step.size, read };
+}
+
+function selectIndices(model, names, component, label) {
+  const source = SOURCES[component.source];
+  const length = sourceLength(model, component.source);
+  if (component.range) {
+    const [start, end] = component.range;
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end > length || start > end) {
+      throw new Error(`Observation component "${label}" has range [${start}, ${end}], ` +
+        `outside the ${length} entries of ${component.source}`);
+    }
+    return span(start, end - start);
+  }
+  if (component.indices) {
+    for (const index of component.indices) {
+      if (!Number.isInteger(index) || index < 0 || index >= length) {
+        throw new Error(`Observation component "${label}" has index ${index}, ` +
+          `outside the ${length} entries of ${component.source}`);
+      }
+    }
+    return component.indices.slice();
+  }
+  const selector = source.selector;
+  if (component[selector]) {
+    const indices = [];
+    for (const name of component[selector]) {
+      const id = names.id(SELECTOR_TYPES[selector], name);
+      if (id < 0) {
+        throw new Error(`Observation component "${label}" references unknown ${SELECTOR_TYPES[selector]} "${name}"`);
+      }
+      indices.push(...source.entries(model, id));
+    }
+    return indices;
+  }
+  // No selector: the whole buffer.
+  return span(0, length);
+}
+
+function applyTransform(read, size, component, label) {
+  if (component.scale === undefined && component.offset === undefined) { return read; }
+  const scale = expand(component.scale ?? 1.0, size, `${label}.scale`);
+  const shift = expand(component.offset ?? 0.0, size, `${label}.offset`);
+  return (simulation, extras, out, offset) => {
+    read(simulation, extras, out, offset);
+    for (let i = 0; i < size; i++) { out[offset + i] = (out[offset + i] - shift[i]) * scale[i]; }
+  };
+}
+
+function expand(value, size, label) {
+  if (typeof value === 'number') { return new Float32Array(size).fill(value); }
+  if (value.length !== size) { throw new Error(`Observation ${label} has ${value.length} entries, expected ${size}`); }
+  return Float32Array.from(value);
+}
+
+function sourceLength(model, source) {
+  switch (source) {
+    case 'qpos': return model.nq;
+    case 'qvel': return model.nv;
+    case 'act': return model.na;
+    case 'ctrl': case 'actuator_length': case 'actuator_velocity': case 'actuator_force': return model.nu;
+    case 'ten_length': case 'ten_velocity': return model.ntendon;
+    case 'sensordata': return model.nsensordata;
+    case 'xpos': return model.nbody * 3;
+    case 'xquat': return model.nbody * 4;
+    case 'site_xpos': return model.nsite * 3;
+    case 'mocap_pos': return model.nmocap * 3;
+    case 'mocap_quat': return model.nmocap * 4;
+  }
+  return 0;
+}
+
+function jointEntries(model, id, addresses, widths) {
+  return span(addresses[id], widths[model.jnt_type[id]]);
+}
+
+function mocapEntries(model, id, width) {
+  const mocapID = model.body_mocapid[id];
+  if (mocapID < 0) { throw new Error(`Body ${id} is not a mocap body`); }
+  return span(mocapID * width, width);
+}
+
+function span(start, length) {
+  return Array.from({ length }, (_, i) => start + i);
+}
@@ -0,0 +1,146 @@
+import { StateMirror } from './StateMirror.js';
+
+/** Runs the physics of the loaded scene in a worker (PhysicsWorker.js) so that heavy
+ * models step without blocking rendering and the camera controls. The render loop
+ * calls `sync` each frame and draws from `state`, the latest snapshot the worker
+ * published into shared memory; controls, perturbation forces, pausing, resets and
+ * keyframes are sent over a message channel.
+ *
+ * SharedArrayBuffer is only available on cross-origin isolated pages, see `supported`. */
+export class PhysicsClient {
+  constructor() {
+    this.worker = null;
+    this.port = null;
+    this.state = null;          // StateMirror read by the render loop.
+    this.sent = { paused: null, realTimeFactor: null, ctrl: null };
+    this.perturbing = false;
+  }
+
+  /** @returns {boolean} whether the page can share memory with a worker */
+  static get supported() {
+    return typeof SharedArrayBuffer !== 'undefined' && self.crossOriginIsolated === true;
+  }
+
+  /**
+   * Start the worker on the scene, continuing from the state of the main-thread simulation
+   * @param {object} mujoco - MuJoCo module whose /working file system holds the scene
+   * @param {string} scene - Scene path relative to /working
+   * @param {object} model - MuJoCo model object of the scene
+   * @param {object} simulation - MuJoCo simulation object to take the state from
+   * @param {number} time - Simulation time of that state (s)
+   * @returns {Promise<void>} resolves once the worker runs
+   */
+  async start(mujoco, scene, model, simulation, time) {
+    const files = readFiles(mujoco, '/working', '');
+    const initialState = {};
+    for (const name of ['qpos', 'qvel', 'act', 'ctrl', 'mocap_pos', 'mocap_quat']) {
+      initialState[name] = simulation[name].slice();
+    }
+    this.state = new StateMirror(model, undefined, typeof simulation.contacts === 'function');
+
+    const channel = new MessageChannel();
+    this.port = channel.port1;
+    this.worker = new Worker(new URL('./PhysicsWorker.js', import.meta.url), { type: 'module' });
+    const ready = new Promise((resolve, reject) => {
+      this.port.onmessage = (event) => {
+        if (event.data.type === 'ready') { resolve(); }
+        if (event.data.type === 'error') { reject(new Error(event.data.message)); }
+      };
+      this.worker.onerror = (event) => reject(new Error(event.message || 'The physics worker failed to load'));
+    });
+    this.worker.postMessage({ type: 'init', port: channel.port2, files, scene, buffer: this.state.buffer, initialState, time },
+      [channel.port2, ...Object.values(files).map(bytes => bytes.buffer)]);
+    try {
+      await ready;
+    } catch (error) {
+      this.worker.terminate();
+      throw error;
+    }
+    this.state.read();
+  }
+
+  /**
+   * Stop the worker and continue from its last state on the main thread
+   * @param {object} simulation - MuJoCo simulation object to write the state into
+   * @returns {number} the simulation time of that state (s)
+   */
+  stop(simulation) {
+    this.worker.terminate();
+    this.port.close();
+    this.state.read();
+    this.state.restore(simulation);
+    return this.state.time;
+  }
+
+  /**
+   * Copy the latest snapshot into `state`
+   * @returns {boolean} whether the snapshot is new
+   */
+  sync() {
+    return this.state.read();
+  }
+
+  /**
+   * Send the settings and controls that changed since the last call
+   * @param {{paused: boolean, realTimeFactor: number, ctrl: Float64Array}} settings
+   */
+  update({ paused, realTimeFactor, ctrl }) {
+    if (paused !== this.sent.paused) { this.port.postMessage({ type: 'pause', paused }); }
+    if (realTimeFactor !== this.sent.realTimeFactor) { this.port.postMessage({ type: 'realTimeFactor', value: realTimeFactor }); }
+    if (!this.sent.ctrl || this.sent.ctrl.some((value, i) => value !== ctrl[i])) {
+      this.sent.ctrl = ctrl.slice();
+      this.port.postMessage({ type: 'control', ctrl: this.sent.ctrl });
+    }
+    this.sent.paused = paused;
+    this.sent.realTimeFactor = realTimeFactor;
+  }
+
+  /**
+   * Apply a force to a body every step until the next call, or stop pushing
+   * @param {number|null} bodyID - Body to push, or null to release it
+   * @param {{x: number, y: number, z: number}} [force] - Force in MuJoCo coordinates (N)
+   * @param {{x: number, y: number, z: number}} [point] - Point of application in MuJoCo coordinates
+   */
+  perturb(bodyID, force, point) {
+    if (bodyID === null) {
+      if (this.perturbing) { this.port.postMessage({ type: 'perturb', bodyID: -1 }); }
+      this.perturbing = false;
+      return;
+    }
+    this.port.postMessage({ type: 'perturb', bodyID, force: [force.x, force.y, force.z], point: [point.x, point.y, point.z] });
+    this.perturbing = true;
+  }
+
+  /** Reset the simulation to the model's initial state */
+  reset() {
+    this.port.postMessage({ type: 'reset' });
+  }
+
+  /** @param {number} index - Keyframe to load */
+  loadKeyframe(index) {
+    this.port.postMessage({ type: 'keyframe', index });
+  }
+
+  /** @returns {string} short human-readable summary of the worker's achieved speed */
+  status() {
+    const { measuredFactor, behind, droppedTime } = this.state.stats;
+    let text = `${measuredFactor.toFixed(2)}x (worker)`;
+    if (behind) { text += ' (behind real time)'; }
+    if (droppedTime > 0) { text += `, ${droppedTime.toFixed(2)}s skipped`; }
+    return text;
+  }
+}
+
+/** @returns {Object.<string, Uint8Array>} the files under `directory` of the MuJoCo file system, by relative path */
+function readFiles(mujoco, directory, prefix, files = {}) {
+  for (const name of mujoco.FS.readdir(directory)) {
+    if (name === '.' || name === '..') { continue; }
+    const path = directory + '/' + name;
+    if (mujoco.FS.isDir(mujoco.FS.stat(path).mode)) {
+      readFiles(mujoco, path, prefix + name + '/', files);
+    } else {
+      files[prefix + name] = mujoco.FS.readFile(path);
+    }
+  }
+  return files;
+}
@@ -0,0 +1,144 @@
+import { SimulationScheduler } from './SimulationScheduler.js';
+import { StateMirror } from './StateMirror.js';
+
+// Worker that owns a copy of the simulation and steps it continuously in real time,
+// publishing snapshots into a StateMirror. Started and driven by PhysicsClient: the
+// "init" message carries the scene files, the shared buffer, the state to start from
+// and the port that the commands arrive on. The client terminates the worker to stop it.
+// Between steps the worker sleeps until the next one is due; paused, it only wakes up
+// for commands.
+
+let mujoco = null;
+let model = null, state = null, simulation = null;
+let mirror = null;
+let port = null;
+const scheduler = new SimulationScheduler();
+let paused = false;
+let timer = null;               // Pending tick, if any
+let perturbation = null;        // {bodyID, force, point} applied every step, or null
+
+// Emscripten only detects classic workers (which have importScripts), so the MuJoCo
+// module would refuse to start in this module worker without the stand-in.
+const mujocoLoaded = (async () => {
+  if (typeof self.importScripts !== 'function') {
+    self.importScripts = () => { throw new Error('importScripts is not supported in module workers'); };
+  }
+  const { default: load_mujoco } = await import('../../dist/mujoco_wasm.js');
+  return load_mujoco();
+})();
+
+self.onmessage = async (event) => {
+  if (event.data.type !== 'init') { return; }
+  port = event.data.port;
+  try {
+    await init(event.data);
+    port.onmessage = (message) => command(message.data);
+    port.postMessage({ type: 'ready' });
+    tick();
+  } catch (error) {
+    port.postMessage({ type: 'error', message: error.message });
+  }
+};
+
+/** Load the scene, continue from the given state and attach the mirror */
+async function init({ files, scene, buffer, initialState, time }) {
+  mujoco = await mujocoLoaded;
+  mujoco.FS.mkdir('/working');
+  mujoco.FS.mount(mujoco.MEMFS, { root: '.' }, '/working');
+  for (const [path, bytes] of Object.entries(files)) {
+    let directory = '/working';
+    for (const part of path.split('/').slice(0, -1)) {
+      directory += '/' + part;
+      if (!mujoco.FS.analyzePath(directory).exists) { mujoco.FS.mkdir(directory); }
+    }
+    mujoco.FS.writeFile('/working/' + path, bytes);
+  }
+
+  const filepath = '/working/' + scene;
+  model = scene.endsWith('.mjb') ? mujoco.Model.load_from_mjb(filepath) : mujoco.Model.load_from_xml(filepath);
+  state = new mujoco.State(model);
+  simulation = new mujoco.Simulation(model, state);
+  for (const [name, values] of Object.entries(initialState)) { simulation[name].set(values); }
+  simulation.forward();
+
+  mirror = new StateMirror(model, buffer, typeof simulation.contacts === 'function');
+  scheduler.time = time;
+  mirror.write(simulation, scheduler);
+}
+
+/** Handle a command from the main thread */
+function command(message) {
+  switch (message.type) {
+    case 'control':
+      simulation.ctrl.set(message.ctrl);
+      if (paused) { mirror.write(simulation, scheduler); }
+      break;
+    case 'perturb':
+      perturbation = message.bodyID > 0 ? message : null;
+      break;
+    case 'pause':
+      if (message.paused === paused) { break; }
+      paused = message.paused;
+      // The paused time is not owed to the simulation
+      scheduler.hold(performance.now());
+      if (paused) {
+        clearTimeout(timer);
+        timer = null;
+        mirror.write(simulation, scheduler);
+      } else {
+        wake();
+      }
+      break;
+    case 'realTimeFactor':
+      scheduler.realTimeFactor = message.value;
+      wake();
+      break;
+    case 'reset':
+      simulation.resetData();
+      simulation.forward();
+      scheduler.reset();
+      mirror.write(simulation, scheduler);
+      break;
+    case 'keyframe':
+      if (message.index < model.nkey) {
+        simulation.qpos.set(model.key_qpos.slice(message.index * model.nq, (message.index + 1) * model.nq));
+        simulation.forward();
+        mirror.write(simulation, scheduler);
+      }
+      break;
+    default:
+      console.warn(`[Physics] Unknown command "${message.type}"`);
+  }
+}
+
+/** Tick now instead of at the scheduled time, unless paused */
+function wake() {
+  if (paused) { return; }
+  clearTimeout(timer);
+  timer = setTimeout(tick, 0);
+}
+
+/** Step up to the wall clock, publish the state if it changed, and sleep until the next step is due */
+function tick() {
+  timer = null;
+  if (paused) { return; }
+  const timestep = model.getOptions().timestep;
+  scheduler.beginFrame(performance.now());
+  let stepped = false;
+  while (scheduler.shouldStep(timestep)) {
+    for (let i = 0; i < simulation.qfrc_applied.length; i++) { simulation.qfrc_applied[i] = 0.0; }
+    if (perturbation) {
+      const { bodyID, force, point } = perturbation;
+      simulation.applyForce(force[0], force[1], force[2], 0, 0, 0, point[0], point[1], point[2], bodyID);
+    }
+    simulation.step();
+    scheduler.stepped(timestep);
+    stepped = true;
+  }
+  scheduler.endFrame(timestep);
+  if (stepped) { mirror.write(simulation, scheduler); }
+
+  // A real-time factor of 0 stops time; the next realTimeFactor command wakes the worker
+  const delay = scheduler.timeToNextStep(timestep);
+  if (delay !== Infinity) { timer = setTimeout(tick, delay); }
+}
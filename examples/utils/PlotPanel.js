@@ -0,0 +1,317 @@
+import { ModelIndex } from './ModelIndex.js';
+
+// Trace colours, cycled per plot.
+const TRACE_COLORS = ['#4fc3f7', '#ff8a65', '#aed581', '#ffd54f', '#ba68c8', '#f06292', '#4db6ac', '#e0e0e0'];
+
+// Signal groups: [prefix, ModelIndex object type, (model, id) => entries].
+// An entry is [suffix, simulation field, index]; objects with several entries get "[k]" suffixes.
+const SIGNAL_GROUPS = [
+  ['qpos'    , 'joint'   , (model, id) => scalarJoint(model, id) ? [['', 'qpos', model.jnt_qposadr[id]]] : []],
+  ['qvel'    , 'joint'   , (model, id) => scalarJoint(model, id) ? [['', 'qvel', model.jnt_dofadr[id]]] : []],
+  ['ctrl'    , 'actuator', (model, id) => [['', 'ctrl', id]]],
+  ['act'     , 'actuator', (model, id) => model.actuator_actadr[id] >= 0 ? [['', 'act', model.actuator_actadr[id]]] : []],
+  ['force'   , 'actuator', (model, id) => [['', 'actuator_force', id]]],
+  ['length'  , 'tendon'  , (model, id) => [['', 'ten_length', id]]],
+  ['sensor'  , 'sensor'  , (model, id) => {
+    const dim = model.sensor_dim[id];
+    const entries = [];
+    for (let k = 0; k < dim; k++) { entries.push([dim > 1 ? `[${k}]` : '', 'sensordata', model.sensor_adr[id] + k]); }
+    return entries;
+  }],
+];
+
+/** Docked panel of live time-series plots. Signals are picked by name, e.g.
+ * "qpos:r_elbow_flex", "act:BIClong", "length:TRIlong_tendon" or "sensor:touch[2]",
+ * and sampled once per rendered frame while simulation time advances, so the plots
+ * pause with the simulation. Each plot holds several traces, autoscales to the
+ * visible window, and the buffered samples of all traces can be exported as CSV. */
+export class PlotPanel {
+  /** @param {HTMLElement} container - Element to dock the panel in */
+  constructor(container) {
+    this.window = 10.0;         // Visible span of simulation time (s).
+    this.capacity = 8192;       // Samples kept per signal.
+    this.signals = new Map();   // Signal name -> {field, index}, for the loaded model.
+    this.plots = [];            // {traces: string[], element, canvas, legend}
+    this.buffers = new Map();   // Signal name -> Float64Array ring buffer, aligned with `times`.
+    this.times = new Float64Array(this.capacity);
+    this.start = 0;             // Ring buffer index of the oldest sample.
+    this.length = 0;            // Buffered samples.
+    this.lastTime = null;
+
+    this.element = document.createElement('div');
+    this.element.style.position = 'absolute';
+    this.element.style.left = '0px';
+    this.element.style.right = '0px';
+    this.element.style.bottom = '0px';
+    this.element.style.maxHeight = '40%';
+    this.element.style.overflowY = 'auto';
+    this.element.style.backgroundColor = 'rgba(0, 0, 0, 0.6)';
+    this.element.style.color = 'white';
+    this.element.style.font = 'normal 12px Arial';
+    this.element.style.display = 'none';
+    container.appendChild(this.element);
+  }
+
+  /** @returns {boolean} whether the panel is shown */
+  get visible() {
+    return this.element.style.display !== 'none';
+  }
+
+  set visible(visible) {
+    this.element.style.display = visible ? 'block' : 'none';
+  }
+
+  /**
+   * List the model's signals; traces whose names still exist are kept, their samples are not
+   * @param {object} model - MuJoCo model object
+   */
+  setModel(model) {
+    this.signals = listSignals(model);
+    for (const plot of this.plots) {
+      plot.traces = plot.traces.filter(name => this.signals.has(name));
+      this.updateLegend(plot);
+    }
+    this.clear();
+  }
+
+  /** @returns {string[]} names of the signals available in the loaded model */
+  get signalNames() {
+    return Array.from(this.signals.keys());
+  }
+
+  /** Add an empty plot at the bottom of the panel
+   * @returns {number} index of the new plot
+   */
+  addPlot() {
+    const element = document.createElement('div');
+    element.style.position = 'relative';
+    element.style.margin = '4px 8px';
+    const legend = document.createElement('div');
+    legend.style.display = 'flex';
+    legend.style.flexWrap = 'wrap';
+    legend.style.gap = '10px';
+    element.appendChild(legend);
+    const canvas = document.createElement('canvas');
+    canvas.style.width = '100%';
+    canvas.style.height = '120px';
+    canvas.style.display = 'block';
+    element.appendChild(canvas);
+    this.element.appendChild(element);
+
+    const plot = { traces: [], element, canvas, legend };
+    this.plots.push(plot);
+    this.updateLegend(plot);
+    return this.plots.length - 1;
+  }
+
+  /**
+   * Add a signal to a plot
+   * @param {string} name - Signal name, see `signalNames`
+   * @param {number} plotIndex - Plot to add it to; a new plot is created if there is none
+   */
+  addTrace(name, plotIndex = this.plots.length - 1) {
+    if (!this.signals.has(name)) { throw new Error(`Unknown signal "${name}"`); }
+    if (this.plots.length === 0) { plotIndex = this.addPlot(); }
+    const plot = this.plots[Math.min(Math.max(plotIndex, 0), this.plots.length - 1)];
+    if (plot.traces.includes(name)) { return; }
+    plot.traces.push(name);
+    this.updateLegend(plot);
+  }
+
+  /**
+   * Remove a signal from a plot; empty plots are removed as well
+   * @param {string} name - Signal name
+   * @param {object} plot - Plot holding it
+   */
+  removeTrace(name, plot) {
+    plot.traces = plot.traces.filter(trace => trace !== name);
+    if (!this.plots.some(other => other.traces.includes(name))) { this.buffers.delete(name); }
+    if (plot.traces.length === 0) {
+      plot.element.remove();
+      this.plots = this.plots.filter(other => other !== plot);
+    } else {
+      this.updateLegend(plot);
+    }
+  }
+
+  /** Remove all plots */
+  removeAll() {
+    for (const plot of this.plots) { plot.element.remove(); }
+    this.plots = [];
+    this.buffers.clear();
+  }
+
+  /** Drop all buffered samples */
+  clear() {
+    this.buffers.clear();
+    this.start = 0;
+    this.length = 0;
+    this.lastTime = null;
+  }
+
+  /**
+   * Sample every plotted signal. Nothing is recorded while time stands still; when it
+   * goes backwards (a reset, or looping playback) the buffers start over.
+   * @param {object} simulation - MuJoCo simulation object, or the StateMirror of a physics worker
+   * @param {number} time - Current simulation time (s)
+   */
+  sample(simulation, time) {
+    if (this.lastTime !== null && time === this.lastTime) { return; }
+    if (this.lastTime !== null && time < this.lastTime) { this.clear(); }
+    this.lastTime = time;
+
+    let slot;
+    if (this.length < this.capacity) {
+      slot = (this.start + this.length) % this.capacity;
+      this.length++;
+    } else {
+      slot = this.start;
+      this.start = (this.start + 1) % this.capacity;
+    }
+    this.times[slot] = time;
+    for (const plot of this.plots) {
+      for (const name of plot.traces) {
+        let buffer = this.buffers.get(name);
+        if (!buffer) {
+          // Signals added mid-way have no history
+          buffer = new Float64Array(this.capacity).fill(NaN);
+          this.buffers.set(name, buffer);
+        }
+        const { field, index } = this.signals.get(name);
+        buffer[slot] = simulation[field][index];
+      }
+    }
+  }
+
+  /** Redraw every plot over the last `window` seconds */
+  draw() {
+    if (!this.visible || this.length === 0) { return; }
+    const latest = this.times[(this.start + this.length - 1) % this.capacity];
+    const earliest = latest - this.window;
+    for (const plot of this.plots) { this.drawPlot(plot, earliest, latest); }
+  }
+
+  /**
+   * Serialise the buffered samples of every plotted signal
+   * @returns {{blob: Blob, filename: string}|null} a CSV file with a time column, or null if nothing is buffered
+   */
+  export() {
+    const names = Array.from(this.buffers.keys());
+    if (this.length === 0 || names.length === 0) {
+      console.warn('[Plots] Nothing to export');
+      return null;
+    }
+    const lines = [['time', ...names].join(',')];
+    for (let i = 0; i < this.length; i++) {
+      const slot = (this.start + i) % this.capacity;
+      const row = [this.times[slot]];
+      for (const name of names) {
+        const value = this.buffers.get(name)[slot];
+        row.push(Number.isNaN(value) ? '' : value);
+      }
+      lines.push(row.join(','));
+    }
+    return { blob: new Blob([lines.join('\n') + '\n'], { type: 'text/csv' }), filename: 'plots.csv' };
+  }
+
+  /** Rebuild a plot's legend: one coloured label per trace, click to remove */
+  updateLegend(plot) {
+    plot.legend.innerHTML = '';
+    plot.traces.forEach((name, t) => {
+      const entry = document.createElement('span');
+      entry.style.color = TRACE_COLORS[t % TRACE_COLORS.length];
+      entry.style.cursor = 'pointer';
+      entry.title = 'Click to remove';
+      entry.textContent = `${name} ×`;
+      entry.onclick = () => this.removeTrace(name, plot);
+      plot.legend.appendChild(entry);
+    });
+    if (plot.traces.length === 0) { plot.legend.textContent = 'Empty plot; add signals in the Plots folder'; }
+  }
+
+  /** Draw one plot's traces between two simulation times, autoscaled to the visible samples */
+  drawPlot(plot, earliest, latest) {
+    const canvas = plot.canvas;
+    const width = canvas.clientWidth * window.devicePixelRatio;
+    const height = canvas.clientHeight * window.devicePixelRatio;
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+    const context = canvas.getContext('2d');
+    context.clearRect(0, 0, width, height);
+
+    // Find the visible samples and their range
+    let first = 0;
+    while (first < this.length && this.times[(this.start + first) % this.capacity] < earliest) { first++; }
+    let min = Infinity;
+    let max = -Infinity;
+    for (const name of plot.traces) {
+      const buffer = this.buffers.get(name);
+      if (!buffer) { continue; }
+      for (let i = first; i < this.length; i++) {
+        const value = buffer[(this.start + i) % this.capacity];
+        if (value < min) { min = value; }
+        if (value > max) { max = value; }
+      }
+    }
+    if (min > max) { return; }
+    const pad = max > min ? 0.05 * (max - min) : Math.max(1e-3, 0.05 * Math.abs(max));
+    min -= pad;
+    max += pad;
+    const x = (time) => (time - earliest) / this.window * width;
+    const y = (value) => (max - value) / (max - min) * height;
+
+    // Axis labels
+    const fontSize = 11 * window.devicePixelRatio;
+    context.font = `${fontSize}px Arial`;
+    context.fillStyle = 'rgba(255, 255, 255, 0.6)';
+    context.fillText(max.toPrecision(4), 2, fontSize);
+    context.fillText(min.toPrecision(4), 2, height - 2);
+    context.fillText(`${latest.toFixed(2)}s`, width - 6 * fontSize, height - 2);
+
+    plot.traces.forEach((name, t) => {
+      const buffer = this.buffers.get(name);
+      if (!buffer) { return; }
+      context.strokeStyle = TRACE_COLORS[t % TRACE_COLORS.length];
+      context.lineWidth = window.devicePixelRatio;
+      context.beginPath();
+      let drawing = false;
+      for (let i = first; i < this.length; i++) {
+        const slot = (this.start + i) % this.capacity;
+        const value = buffer[slot];
+        if (Number.isNaN(value)) { drawing = false; continue; }
+        if (drawing) {
+          context.lineTo(x(this.times[slot]), y(value));
+        } else {
+          context.moveTo(x(this.times[slot]), y(value));
+          drawing = true;
+        }
+      }
+      context.stroke();
+    });
+  }
+}
+
+/** @returns {boolean} whether a joint has a single coordinate (hinge or slide) */
+function scalarJoint(model, id) {
+  return model.jnt_type[id] === 2 || model.jnt_type[id] === 3;
+}
+
+/**
+ * @param {object} model - MuJoCo model object
+ * @returns {Map<string, {field: string, index: number}>} every plottable signal by name, e.g. "qpos:elbow"
+ */
+function listSignals(model) {
+  const names = ModelIndex.for(model);
+  const signals = new Map();
+  for (const [prefix, type, entries] of SIGNAL_GROUPS) {
+    for (let id = 0; id < names.list(type).length; id++) {
+      const name = names.name(type, id) || `${id}`;
+      for (const [suffix, field, index] of entries(model, id)) {
+        signals.set(`${prefix}:${name}${suffix}`, { field, index });
+      }
+    }
+  }
+  return signals;
+}
@@ -0,0 +1,176 @@
+import { ObservationSpec } from './ObservationSpec.js';
+
+/** Binds a policy's ONNX inputs and outputs by name, for models with several
+ * inputs, recurrent state or extra outputs such as a value estimate.
+ *
+ * The binding is described by the optional `inputs` and `outputs` sections of a
+ * policy spec:
+ *
+ *   {
+ *     "observation": [ ... ],
+ *     "inputs": [
+ *       { "name": "obs" },
+ *       { "name": "goal", "observation": [ { "source": "site_xpos", "sites": ["target"] } ] },
+ *       { "name": "h_in", "state": "h_out", "dims": [1, 1, 128] },
+ *       { "name": "episode_start", "episodeStart": true }
+ *     ],
+ *     "outputs": { "action": "actions", "logStd": "log_std", "value": "value" }
+ *   }
+ *
+ * An input is fed with one of
+ *   - the spec's main `observation` (the default),
+ *   - an `observation` of its own, laid out as in ObservationSpec,
+ *   - recurrent `state`: the named output of the previous step, zeros after a reset,
+ *   - `episodeStart`: 1 on the first step after a reset, 0 otherwise.
+ * Observations are fed as `[1, size]` unless `dims` is given. Without `inputs`, the
+ * model's first input receives the main observation and any other input is an error.
+ * `outputs.action` defaults to the model's first output; `outputs.logStd` (the log
+ * standard deviation of a Gaussian policy, for stochastic sampling) and
+ * `outputs.value` default to an output named "log_std", or "value"/"values", if
+ * there is one. */
+export class PolicyBinding {
+  /**
+   * @param {object} spec - Parsed policy spec
+   * @param {ObservationSpec} observationSpec - The spec's main observation
+   */
+  constructor(spec, observationSpec) {
+    this.spec = spec;
+    this.observationSpec = observationSpec;
+    this.inputs = null;
+    this.actionOutput = null;
+    this.valueOutput = null;
+    this.logStdOutput = null;
+    this.state = new Map();      // State input name -> tensor data from the previous step
+    this.episodeStart = true;
+  }
+
+  /**
+   * Resolve the binding against a session's input and output names
+   * @param {{inputNames: string[], outputNames: string[]}} session - Inference session
+   */
+  bind(session) {
+    const declared = this.spec.inputs || [{ name: session.inputNames[0] }];
+    this.inputs = declared.map((input) => {
+      if (!session.inputNames.includes(input.name)) {
+        throw new Error(`Policy spec binds input "${input.name}", but the model's inputs are ${session.inputNames.join(', ')}`);
+      }
+      if (input.state !== undefined) {
+        if (!session.outputNames.includes(input.state)) {
+          throw new Error(`State input "${input.name}" is fed from output "${input.state}", ` +
+            `but the model's outputs are ${session.outputNames.join(', ')}`);
+        }
+        if (!Array.isArray(input.dims)) {
+          throw new Error(`State input "${input.name}" must declare its "dims"`);
+        }
+        return { name: input.name, kind: 'state', output: input.state, dims: input.dims };
+      }
+      if (input.episodeStart) {
+        return { name: input.name, kind: 'episodeStart', dims: input.dims || [1] };
+      }
+      const spec = input.observation ?
+        new ObservationSpec({ observation: input.observation, size: input.size }) : this.observationSpec;
+      return { name: input.name, kind: 'observation', spec, dims: input.dims || null };
+    });
+
+    if (!this.inputs.some(input => input.kind === 'observation')) {
+      throw new Error('Policy spec must feed at least one input with an observation');
+    }
+
+    const unbound = session.inputNames.filter(name => !this.inputs.some(input => input.name === name));
+    if (unbound.length > 0) {
+      throw new Error(`Model input${unbound.length > 1 ? 's' : ''} ${unbound.join(', ')} not bound; ` +
+        `describe ${unbound.length > 1 ? 'them' : 'it'} in the policy spec's "inputs"`);
+    }
+
+    const outputs = this.spec.outputs || {};
+    this.actionOutput = outputs.action || session.outputNames[0];
+    this.valueOutput = outputs.value || session.outputNames.find(name => name === 'value' || name === 'values') || null;
+    this.logStdOutput = outputs.logStd || session.outputNames.find(name => name === 'log_std') || null;
+    for (const name of [this.actionOutput, this.valueOutput, this.logStdOutput]) {
+      if (name !== null && !session.outputNames.includes(name)) {
+        throw new Error(`Policy spec reads output "${name}", but the model's outputs are ${session.outputNames.join(', ')}`);
+      }
+    }
+    this.reset();
+  }
+
+  /** @returns {object[]} the observation-fed inputs, in binding order */
+  get observationInputs() {
+    return this.inputs.filter(input => input.kind === 'observation');
+  }
+
+  /**
+   * Assemble every observation-fed input from the current simulation state
+   * @param {object} simulation - MuJoCo simulation object
+   * @param {object} model - MuJoCo model object
+   * @param {object} extras - Values that are not stored in the simulation, e.g. `{ time }`
+   * @returns {Object.<string, Float32Array>} observations by input name; buffers are reused between calls
+   */
+  observe(simulation, model, extras = {}) {
+    const observations = {};
+    for (const input of this.observationInputs) {
+      observations[input.name] = input.spec.assemble(simulation, model, extras);
+    }
+    return observations;
+  }
+
+  /**
+   * Build the feeds of a step, copying the observations so they can be handed to the worker
+   * @param {Object.<string, Float32Array>} observations - Observations by input name
+   * @returns {Object.<string, {type: string, data: Float32Array, dims: number[]}>} named input tensors
+   */
+  feeds(observations) {
+    const feeds = {};
+    for (const input of this.inputs) {
+      let data;
+      if (input.kind === 'state') {
+        data = Float32Array.from(this.state.get(input.name));
+      } else if (input.kind === 'episodeStart') {
+        data = new Float32Array(input.dims.reduce((a, b) => a * b, 1)).fill(this.episodeStart ? 1 : 0);
+      } else {
+        if (!observations[input.name]) {
+          throw new Error(`No observation for input "${input.name}"`);
+        }
+        data = Float32Array.from(observations[input.name]);
+      }
+      feeds[input.name] = { type: 'float32', data, dims: input.dims || [1, data.length] };
+    }
+    return feeds;
+  }
+
+  /**
+   * Take the outputs of a step: carry the recurrent state over and pick out the action, log-std and value
+   * @param {Object.<string, {data: Float32Array, dims: number[]}>} outputMap - Named output tensors
+   * @returns {{action: Float32Array, logStd: Float32Array|null, value: number|null}}
+   */
+  receive(outputMap) {
+    const action = outputMap[this.actionOutput];
+    if (!action) {
+      throw new Error(`Model returned no "${this.actionOutput}" output; available outputs: ${Object.keys(outputMap).join(', ')}`);
+    }
+    for (const input of this.inputs) {
+      if (input.kind === 'state') { this.state.set(input.name, Float32Array.from(outputMap[input.output].data)); }
+    }
+    this.episodeStart = false;
+
+    const value = this.valueOutput && outputMap[this.valueOutput] ? Number(outputMap[this.valueOutput].data[0]) : null;
+    const logStd = this.logStdOutput && outputMap[this.logStdOutput] ? outputMap[this.logStdOutput].data : null;
+    return { action: action.data, logStd, value };
+  }
+
+  /** Zero the recurrent state and mark the next step as the start of an episode */
+  reset() {
+    this.state.clear();
+    for (const input of this.inputs || []) {
+      if (input.kind === 'state') {
+        this.state.set(input.name, new Float32Array(input.dims.reduce((a, b) => a * b, 1)));
+      }
+    }
+    this.episodeStart = true;
+  }
+
+  /** @returns {boolean} whether the policy carries state from step to step */
+  get isRecurrent() {
+    return this.inputs.some(input => input.kind !== 'observation');
+  }
+}
@@ -0,0 +1,106 @@
+/** Describes the RL policies available to the demo and the scenes they control.
+ *
+ * A manifest is a JSON object with a `policies` array; each entry has
+ *   - `id`          unique key, used as the Policy dropdown value
+ *   - `name`        label shown in the GUI (defaults to `id`)
+ *   - `scene`       scene file the policy controls, as listed in the Example Scene dropdown
+ *   - `model`       path to the ONNX model
+ *   - `spec`        path to the policy spec with the observation layout and action mapping
+ *                   (defaults to the model path with a .json extension)
+ *   - `frameSkip`   physics steps per policy step, i.e. the control rate (optional)
+ *   - `description`, `author` (optional)
+ * Paths are resolved relative to the manifest itself. Policies added at runtime
+ * (see `add`) may instead give the model as a Blob and the spec as a parsed object. */
+export class PolicyManifest {
+  /**
+   * @param {object} manifest - Parsed manifest
+   * @param {string} baseURL - URL the manifest was loaded from; paths resolve against it
+   */
+  constructor(manifest = { policies: [] }, baseURL = '') {
+    if (!Array.isArray(manifest.policies)) {
+      throw new Error('Policy manifest must have a "policies" array');
+    }
+
+    this.policies = [];
+    for (const entry of manifest.policies) { this.add(entry, baseURL); }
+  }
+
+  /**
+   * Register a policy
+   * @param {object} entry - Manifest entry, see above
+   * @param {string} baseURL - URL that relative paths in the entry resolve against
+   * @returns {object} the normalised entry
+   */
+  add(entry, baseURL = '') {
+    for (const key of ['id', 'scene']) {
+      if (typeof entry[key] !== 'string') {
+        throw new Error(`Policy manifest entry ${JSON.stringify(entry.id || entry)} is missing "${key}"`);
+      }
+    }
+    if (typeof entry.model !== 'string' && !(entry.model instanceof Blob)) {
+      throw new Error(`Policy manifest entry "${entry.id}" is missing "model"`);
+    }
+    if (this.get(entry.id)) {
+      throw new Error(`Policy manifest lists "${entry.id}" more than once`);
+    }
+    if (entry.frameSkip !== undefined && !(Number.isInteger(entry.frameSkip) && entry.frameSkip >= 1)) {
+      throw new Error(`Policy "${entry.id}": frameSkip must be a positive integer`);
+    }
+
+    const model = typeof entry.model === 'string' ? resolvePath(entry.model, baseURL) : entry.model;
+    let spec = entry.spec;
+    if (typeof spec === 'string') {
+      spec = resolvePath(spec, baseURL);
+    } else if (!spec && typeof model === 'string') {
+      spec = model.replace(/\.onnx$/, '.json');
+    }
+    const policy = {
+      ...entry,
+      name: entry.name || entry.id,
+      model,
+      spec: spec || null,
+      description: entry.description || '',
+      author: entry.author || ''
+    };
+    this.policies.push(policy);
+    return policy;
+  }
+
+  /**
+   * Unregister a policy, if listed
+   * @param {string} id - Policy id
+   */
+  remove(id) {
+    this.policies = this.policies.filter(policy => policy.id !== id);
+  }
+
+  /**
+   * @param {string} id - Policy id
+   * @returns {object|undefined} the policy entry
+   */
+  get(id) {
+    return this.policies.find(policy => policy.id === id);
+  }
+
+  /**
+   * @param {string} scene - Scene file
+   * @returns {object[]} the policies that control the scene, in manifest order
+   */
+  policiesForScene(scene) {
+    return this.policies.filter(policy => policy.scene === scene);
+  }
+
+  /**
+   * @param {string} scene - Scene file
+   * @returns {boolean} whether any policy controls the scene
+   */
+  isSupported(scene) {
+    return this.policiesForScene(scene).length > 0;
+  }
+}
+
+/** Resolve a manifest path against the manifest's own location */
+function resolvePath(path, baseURL) {
+  if (!baseURL || /^([a-z]+:)?\/\//i.test(path) || path.startsWith('/')) { return path; }
+  return baseURL.replace(/[^/]*$/, '') + path;
+}
@@ -0,0 +1,253 @@
+// Attributes naming the files of the asset elements, and the compiler directory they are looked up in.
+const ASSET_FILES = {
+  mesh   : { directory: 'meshdir', attributes: ['file'] },
+  skin   : { directory: 'meshdir', attributes: ['file'] },
+  hfield : { directory: 'meshdir', attributes: ['file'] },
+  texture: { directory: 'texturedir', attributes: ['file', 'fileright', 'fileleft', 'fileup', 'filedown', 'filefront', 'fileback'] },
+};
+
+/** Fetches the files a scene needs into MuJoCo's /working file system, on demand.
+ *
+ * `index.json` in the scenes folder lists the files that can be fetched (see
+ * generate_index.py). The files of a scene are found by reading its XML: the
+ * included files, then the meshes, skins, height fields and textures they name,
+ * resolved the way MuJoCo resolves them (relative to the scene's directory, under
+ * the compiler's meshdir/texturedir). An .mjb scene carries its assets. Files
+ * already in /working, e.g. from a previous scene, are not fetched again.
+ *
+ * With an AssetCache, the files listed in `hashes.json` are kept across visits under
+ * the SHA-256 of their contents and restored from it instead of downloaded. The last
+ * index seen online is cached too, so cached scenes also load offline. Files that
+ * `hashes.json` misses are cached under the hash of what was downloaded; they are
+ * downloaded again on every visit online, but restored from the cache offline. */
+export class SceneAssets {
+  /**
+   * @param {object} mujoco - MuJoCo module with /working mounted
+   * @param {string} baseURL - URL of the scenes folder, ending with a slash
+   * @param {AssetCache|null} cache - Persistent cache of the files, or null to always download them
+   */
+  constructor(mujoco, baseURL = './examples/scenes/', cache = null) {
+    this.mujoco = mujoco;
+    this.baseURL = baseURL;
+    this.cache = cache;
+    this.index = null;          // Set of the fetchable files, read from index.json
+    this.hashes = {};           // File -> SHA-256 of its contents, read from hashes.json
+    this.learned = {};          // File -> SHA-256 of its last download, for the files hashes.json misses
+    this.offline = false;       // Whether the index came from the cache
+  }
+
+  /** @returns {Promise<Set<string>>} the files listed in index.json */
+  async loadIndex() {
+    if (this.index === null) {
+      let index;
+      try {
+        index = { files: await this.fetchJSON('index.json'), hashes: await this.fetchJSON('hashes.json', {}), learned: {} };
+        if (this.cache) {
+          // Keep the hashes learned on earlier visits for the files hashes.json still misses
+          const previous = await this.cache.getIndex().catch(() => null);
+          if (previous && previous.learned) {
+            for (const [file, hash] of Object.entries(previous.learned)) {
+              if (!index.hashes[file] && index.files.includes(file)) { index.learned[file] = hash; }
+            }
+          }
+          await this.updateCache(index);
+        }
+      } catch (error) {
+        index = this.cache ? await this.cache.getIndex().catch(() => null) : null;
+        if (!index) { throw error; }
+        console.warn(`[Scenes] Using the cached scene index (${error.message})`);
+        this.offline = true;
+      }
+      this.index = new Set(index.files);
+      this.hashes = index.hashes;
+      this.learned = index.learned || {};
+    }
+    return this.index;
+  }
+
+  /**
+   * Fetch a scene and the files it needs into /working
+   * @param {string} scene - Scene path relative to the scenes folder (.xml or .mjb)
+   * @param {function({loaded: number, total: number, file: string}): void} [onProgress] - Called as files arrive
+   * @returns {Promise<string[]>} the files the scene needs
+   */
+  async load(scene, onProgress = () => {}) {
+    const index = await this.loadIndex();
+    if (!index.has(scene)) { throw new Error(`Scene ${scene} is not listed in ${this.baseURL}index.json`); }
+
+    // The XML files come first, one level of includes at a time, since they name the rest
+    const directory = dirname(scene);
+    const files = [scene];
+    const directories = { meshdir: '', texturedir: '' };
+    const assets = [];
+    let loaded = 0;
+    for (let i = 0; i < files.length; i++) {
+      const bytes = await this.fetchFile(files[i]);
+      onProgress({ loaded: ++loaded, total: files.length, file: files[i] });
+      if (!files[i].endsWith('.xml')) { continue; }
+
+      const references = parseSceneXML(new TextDecoder().decode(bytes));
+      for (const include of references.includes) {
+        const file = resolvePath(directory, include);
+        if (!files.includes(file)) { files.push(file); }
+      }
+      Object.assign(directories, references.directories);
+      assets.push(...references.assets);
+    }
+
+    const needed = [];
+    for (const { type, file } of assets) {
+      const path = resolvePath(directory, directories[ASSET_FILES[type].directory], file);
+      if (files.includes(path) || needed.includes(path)) { continue; }
+      if (!index.has(path)) {
+        console.warn(`[Scenes] ${scene} needs ${path}, which is not listed in index.json`);
+        continue;
+      }
+      needed.push(path);
+    }
+    const total = files.length + needed.length;
+    await Promise.all(needed.map(async (file) => {
+      await this.fetchFile(file);
+      onProgress({ loaded: ++loaded, total, file });
+    }));
+    return files.concat(needed);
+  }
+
+  /**
+   * Fetch a file into /working unless it is there already, from the cache if it has it;
+   * all files are written as bytes
+   * @param {string} file - Path relative to the scenes folder
+   * @returns {Promise<Uint8Array>} the file's contents
+   */
+  async fetchFile(file) {
+    const FS = this.mujoco.FS;
+    const path = '/working/' + file;
+    if (FS.analyzePath(path).exists) { return FS.readFile(path); }
+
+    // A learned hash may be outdated, so it is only trusted when the server cannot be asked
+    const hash = this.hashes[file] || (this.offline ? this.learned[file] : undefined);
+    let bytes = null;
+    if (this.cache && hash) {
+      bytes = await this.cache.getFile(hash).catch((error) => {
+        console.warn(`[Scenes] Could not read ${file} from the cache: ${error.message}`);
+        return null;
+      });
+    }
+    if (!bytes) {
+      const response = await fetch(this.baseURL + file);
+      if (!response.ok) {
+        throw new Error(`Scene file not found at ${this.baseURL + file}: ${response.status} ${response.statusText}`);
+      }
+      bytes = new Uint8Array(await response.arrayBuffer());
+      if (this.cache) { this.cacheFile(file, this.hashes[file], bytes); }
+    }
+
+    let working = '/working';
+    for (const part of file.split('/').slice(0, -1)) {
+      working += '/' + part;
+      if (!FS.analyzePath(working).exists) { FS.mkdir(working); }
+    }
+    FS.writeFile(path, bytes);
+    return bytes;
+  }
+
+  /**
+   * Fetch a JSON file of the scenes folder
+   * @param {string} file - Path relative to the scenes folder
+   * @param {*} [fallback] - Value if the file does not exist; without it a missing file is an error
+   */
+  async fetchJSON(file, fallback) {
+    const response = await fetch(this.baseURL + file);
+    if (response.ok) { return response.json(); }
+    if (fallback !== undefined && response.status === 404) { return fallback; }
+    throw new Error(`Scene ${file} not found at ${this.baseURL + file}: ${response.status} ${response.statusText}`);
+  }
+
+  /** Keep the index for offline use and drop the cached files it no longer refers to, before any new file is cached */
+  async updateCache(index) {
+    try {
+      await this.cache.putIndex(index);
+      const pruned = await this.cache.prune(new Set([...Object.values(index.hashes), ...Object.values(index.learned)]));
+      if (pruned > 0) { console.log(`[Scenes] Dropped ${pruned} outdated files from the cache`); }
+    } catch (error) {
+      console.warn(`[Scenes] Could not update the cache: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cache a downloaded file if it is the one hashes.json describes, or under the hash of its
+   * contents (remembered in the cached index) if hashes.json misses it; runs in the background
+   * @param {string} file - Path relative to the scenes folder
+   * @param {string|undefined} expected - The file's hash in hashes.json
+   * @param {Uint8Array} bytes - The downloaded contents
+   */
+  async cacheFile(file, expected, bytes) {
+    try {
+      const hash = await sha256(bytes);
+      if (expected && hash !== expected) {
+        console.warn(`[Scenes] ${file} does not match hashes.json; not caching it (regenerate it with generate_index.py)`);
+        return;
+      }
+      await this.cache.putFile(hash, bytes);
+      if (!expected && this.learned[file] !== hash) {
+        this.learned[file] = hash;
+        await this.cache.putIndex({ files: [...this.index], hashes: this.hashes, learned: this.learned });
+      }
+    } catch (error) {
+      console.warn(`[Scenes] Could not cache ${file}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Find the files a MuJoCo XML file refers to
+ * @param {string} xml - Contents of the file
+ * @returns {{includes: string[], directories: {meshdir?: string, texturedir?: string},
+ *   assets: {type: string, file: string}[]}} the included files, the compiler's asset
+ *   directories if the file sets them, and the asset files, as written in the file
+ */
+export function parseSceneXML(xml) {
+  const result = { includes: [], directories: {}, assets: [] };
+  const tag = /<([A-Za-z_][\w.-]*)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*\/?>/g;
+  for (const [, name, attributeText] of xml.replace(/<!--[\s\S]*?-->/g, '').matchAll(tag)) {
+    const attributes = {};
+    for (const [, key, , doubleQuoted, singleQuoted] of attributeText.matchAll(/([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+      attributes[key] = doubleQuoted !== undefined ? doubleQuoted : singleQuoted;
+    }
+    if (name === 'include' && attributes.file) {
+      result.includes.push(attributes.file);
+    } else if (name === 'compiler') {
+      // assetdir sets both directories; the specific ones take precedence
+      for (const key of ['meshdir', 'texturedir']) {
+        const value = attributes[key] !== undefined ? attributes[key] : attributes.assetdir;
+        if (value !== undefined) { result.directories[key] = value; }
+      }
+    } else if (name in ASSET_FILES) {
+      for (const key of ASSET_FILES[name].attributes) {
+        if (attributes[key]) { result.assets.push({ type: name, file: attributes[key] }); }
+      }
+    }
+  }
+  return result;
+}
+
+/** @returns {Promise<string>} the SHA-256 of the bytes, in hex */
+async function sha256(bytes) {
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/** @returns {string} the directory part of a path, without the trailing slash */
+function dirname(path) {
+  return path.split('/').slice(0, -1).join('/');
+}
+
+/** @returns {string} the joined path with "." and ".." segments resolved */
+function resolvePath(...parts) {
+  const segments = [];
+  for (const segment of parts.join('/').split('/')) {
+    if (segment === '' || segment === '.') { continue; }
+    if (segment === '..') { segments.pop(); } else { segments.push(segment); }
+  }
+  return segments.join('/');
+}
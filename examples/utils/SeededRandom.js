@@ -0,0 +1,32 @@
+/** Small seeded random number generator (mulberry32), so sampled rollouts can
+ * be reproduced exactly. Not suitable for anything security related. */
+export class SeededRandom {
+  /** @param {number} seed - Any integer; only the low 32 bits are used */
+  constructor(seed = 0) {
+    this.reset(seed);
+  }
+
+  /**
+   * Restart the sequence
+   * @param {number} seed - Any integer; only the low 32 bits are used
+   */
+  reset(seed = this.seed) {
+    this.seed = seed;
+    this.state = seed >>> 0;
+  }
+
+  /** @returns {number} uniform random number in [0, 1) */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /** @returns {number} standard normal random number, using the Box-Muller transform */
+  normal() {
+    return Math.sqrt(-2.0 * Math.log(1.0 - this.next())) *
+      Math.cos(2.0 * Math.PI * this.next());
+  }
+}
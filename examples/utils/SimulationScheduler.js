@@ -0,0 +1,137 @@
+/** Keeps the simulation in step with wall-clock time, scaled by a real-time
+ * factor, and counts physics steps so controllers can run every N steps
+ * (MyoSuite's `frame_skip`). When the browser cannot keep up, the backlog is
+ * bounded and the shortfall is reported rather than silently discarded. */
+export class SimulationScheduler {
+  constructor() {
+    this.realTimeFactor = 1.0;  // Simulated seconds per wall-clock second.
+    this.maxLag = 0.1;          // Wall-clock seconds of backlog kept before it is dropped.
+    this.maxFrameWork = 25.0;   // Wall-clock milliseconds of stepping allowed per frame.
+
+    this.time = 0.0;            // Simulation time since the last reset (s).
+    this.stepCount = 0;         // Physics steps since the last reset.
+    this.pending = 0.0;         // Simulation time owed to the wall clock (s).
+    this.lastWallTime = null;
+    this.frameStart = 0.0;
+    this.frameWallTime = 0.0;
+    this.frameSimTime = 0.0;
+    this.stalled = false;
+
+    this.measuredFactor = 1.0;  // Smoothed achieved real-time factor.
+    this.behind = false;        // Whether the last frame could not catch up.
+    this.droppedTime = 0.0;     // Total simulation time skipped because the browser fell behind (s).
+  }
+
+  /** Restart time and step counting, e.g. after a reset or reload */
+  reset() {
+    this.time = 0.0;
+    this.stepCount = 0;
+    this.pending = 0.0;
+  }
+
+  /**
+   * Start a frame: accrue the simulation time owed since the previous frame
+   * @param {number} wallTimeMS - Timestamp from the animation loop
+   */
+  beginFrame(wallTimeMS) {
+    this.frameWallTime = this.lastWallTime === null ? 0.0 : (wallTimeMS - this.lastWallTime) / 1000.0;
+    this.pending += this.frameWallTime * this.realTimeFactor;
+    this.lastWallTime = wallTimeMS;
+    this.frameStart = performance.now();
+    this.frameSimTime = 0.0;
+    this.stalled = false;
+  }
+
+  /**
+   * Start a frame that simulates up to a given time regardless of the wall clock, e.g. while
+   * capturing frames at a fixed simulation-time rate; skip `endFrame` for such frames.
+   * @param {number} targetTime - Simulation time to reach (s)
+   */
+  beginFixedFrame(targetTime) {
+    this.pending = targetTime - this.time;
+    this.lastWallTime = null;
+    this.frameStart = performance.now();
+    this.frameWallTime = 0.0;
+    this.frameSimTime = 0.0;
+    this.stalled = false;
+    this.behind = false;
+  }
+
+  /**
+   * Keep the clock aligned without simulating, e.g. while paused
+   * @param {number} wallTimeMS - Timestamp from the animation loop
+   */
+  hold(wallTimeMS) {
+    this.lastWallTime = wallTimeMS;
+    this.pending = 0.0;
+    this.behind = false;
+  }
+
+  /**
+   * @param {number} timestep - Physics timestep (s)
+   * @returns {boolean} whether another physics step is due in this frame
+   */
+  shouldStep(timestep) {
+    return !this.stalled && this.pending >= timestep &&
+      performance.now() - this.frameStart < this.maxFrameWork;
+  }
+
+  /**
+   * @param {number} timestep - Physics timestep (s)
+   * @returns {number} wall-clock milliseconds until another physics step is due, or Infinity
+   *   if simulation time does not advance (real-time factor 0)
+   */
+  timeToNextStep(timestep) {
+    if (!(this.realTimeFactor > 0)) { return Infinity; }
+    return Math.max(0.0, (timestep - this.pending) / this.realTimeFactor * 1000.0);
+  }
+
+  /**
+   * Record a completed physics step
+   * @param {number} timestep - Physics timestep (s)
+   */
+  stepped(timestep) {
+    this.pending -= timestep;
+    this.time += timestep;
+    this.frameSimTime += timestep;
+    this.stepCount++;
+  }
+
+  /**
+   * Stop waiting for this frame's backlog, e.g. while a controller blocks
+   * stepping; the time stays owed and counts towards the lag.
+   */
+  stall() {
+    this.stalled = true;
+  }
+
+  /**
+   * Finish a frame: measure the achieved speed and bound the backlog
+   * @param {number} timestep - Physics timestep (s)
+   */
+  endFrame(timestep) {
+    if (this.frameWallTime > 0) {
+      const achieved = this.frameSimTime / this.frameWallTime;
+      this.measuredFactor += 0.05 * (achieved - this.measuredFactor);
+    }
+
+    const wasBehind = this.behind;
+    this.behind = this.pending >= timestep;
+    const maxPending = this.maxLag * this.realTimeFactor;
+    if (this.pending > maxPending) {
+      this.droppedTime += this.pending - maxPending;
+      this.pending = maxPending;
+    }
+    if (this.behind && !wasBehind) {
+      console.warn(`[Simulation] Falling behind real time (target ${this.realTimeFactor.toFixed(2)}x)`);
+    }
+  }
+
+  /** @returns {string} short human-readable summary of the achieved speed */
+  status() {
+    let text = `${this.measuredFactor.toFixed(2)}x`;
+    if (this.behind) { text += ' (behind real time)'; }
+    if (this.droppedTime > 0) { text += `, ${this.droppedTime.toFixed(2)}s skipped`; }
+    return text;
+  }
+}
@@ -0,0 +1,161 @@
+// Mirrored simulation buffers: [name, model => size].
+const FLOAT_FIELDS = [
+  ['xpos'          , (model) => model.nbody * 3],
+  ['xquat'         , (model) => model.nbody * 4],
+  ['light_xpos'    , (model) => model.nlight * 3],
+  ['light_xdir'    , (model) => model.nlight * 3],
+  ['wrap_xpos'     , (model) => model.nwrap * 6],
+  ['qpos'          , (model) => model.nq],
+  ['qvel'          , (model) => model.nv],
+  ['act'           , (model) => model.na],
+  ['ctrl'          , (model) => model.nu],
+  ['actuator_force', (model) => model.nu],
+  ['ten_length'    , (model) => model.ntendon],
+  ['ten_velocity'  , (model) => model.ntendon],
+  ['sensordata'    , (model) => model.nsensordata],
+  ['mocap_pos'     , (model) => model.nmocap * 3],
+  ['mocap_quat'    , (model) => model.nmocap * 4],
+];
+const INT_FIELDS = [
+  ['ten_wrapadr'   , (model) => model.ntendon],
+  ['ten_wrapnum'   , (model) => model.ntendon],
+];
+// Restored into the simulation when stepping moves back to the main thread.
+const STATE_FIELDS = ['qpos', 'qvel', 'act', 'ctrl', 'mocap_pos', 'mocap_quat'];
+
+const HEADER_INTS = 4;          // Sequence number, then padding to keep the floats aligned.
+const STATS = ['time', 'measuredFactor', 'behind', 'droppedTime', 'contactCount'];
+
+// Contacts as Simulation.contacts() lists them, 21 numbers each; as many as the overlay draws.
+const CONTACT_SIZE = 21;
+const MAX_CONTACTS = 512;
+
+/** Snapshots of the simulation state needed to draw a scene (body, light and tendon
+ * poses, plus the state, actuator, tendon, sensor and contact values the plots,
+ * inspector and overlays read), published by the physics worker into a
+ * SharedArrayBuffer and copied out by the render loop.
+ *
+ * Writes are guarded by a sequence number that is odd while a write is in progress,
+ * so the reader never keeps a snapshot that was torn by a concurrent write. After
+ * `read`, the mirror's fields (e.g. `mirror.xpos`) have the same names and layout
+ * as the simulation's, so drawing code can take either. With `contacts`, the mirror
+ * also has `contacts()`, listing the first MAX_CONTACTS of them. */
+export class StateMirror {
+  /**
+   * @param {object} model - MuJoCo model object
+   * @param {SharedArrayBuffer} [buffer] - Buffer shared with the other thread, of `StateMirror.byteLength(model)` bytes
+   * @param {boolean} [contacts] - Whether to mirror the contacts; the MuJoCo build must expose `Simulation.contacts()`
+   */
+  constructor(model, buffer = new SharedArrayBuffer(StateMirror.byteLength(model)), contacts = false) {
+    this.buffer = buffer;
+    this.sequence = new Int32Array(buffer, 0, HEADER_INTS);
+    const floatCount = floatSize(model);
+    this.sharedFloats = new Float64Array(buffer, HEADER_INTS * 4, floatCount);
+    this.sharedInts = new Int32Array(buffer, HEADER_INTS * 4 + floatCount * 8, sumSizes(INT_FIELDS, model));
+
+    // Local copies: `incoming` receives each read, which is kept only if it was not torn
+    this.incomingFloats = new Float64Array(this.sharedFloats.length);
+    this.incomingInts = new Int32Array(this.sharedInts.length);
+    this.floats = new Float64Array(this.sharedFloats.length);
+    this.ints = new Int32Array(this.sharedInts.length);
+    this.fields = {};         // Name -> [shared view, local view]
+    let offset = STATS.length;
+    for (const [name, size] of FLOAT_FIELDS) {
+      const length = size(model);
+      this.fields[name] = [this.sharedFloats.subarray(offset, offset + length), this.floats.subarray(offset, offset + length)];
+      this[name] = this.fields[name][1];
+      offset += length;
+    }
+    this.sharedContacts = this.sharedFloats.subarray(offset, offset + MAX_CONTACTS * CONTACT_SIZE);
+    this.contactData = this.floats.subarray(offset, offset + MAX_CONTACTS * CONTACT_SIZE);
+    this.mirrorsContacts = contacts;
+    if (contacts) {
+      /** @returns {Float64Array} the contacts of the local snapshot, laid out as Simulation.contacts() */
+      this.contacts = () => this.contactData.subarray(0, this.floats[4] * CONTACT_SIZE);
+    }
+    offset = 0;
+    for (const [name, size] of INT_FIELDS) {
+      const length = size(model);
+      this.fields[name] = [this.sharedInts.subarray(offset, offset + length), this.ints.subarray(offset, offset + length)];
+      this[name] = this.fields[name][1];
+      offset += length;
+    }
+    this.version = 0;         // Sequence number of the snapshot in the local copies.
+  }
+
+  /**
+   * @param {object} model - MuJoCo model object
+   * @returns {number} the size of the shared buffer for `model`
+   */
+  static byteLength(model) {
+    return HEADER_INTS * 4 + floatSize(model) * 8 + sumSizes(INT_FIELDS, model) * 4;
+  }
+
+  /** @returns {number} the simulation time of the local snapshot (s) */
+  get time() { return this.floats[0]; }
+
+  /** @returns {{measuredFactor: number, behind: boolean, droppedTime: number}} the worker's scheduler statistics */
+  get stats() {
+    return { measuredFactor: this.floats[1], behind: this.floats[2] > 0, droppedTime: this.floats[3] };
+  }
+
+  /**
+   * Publish the current state (writer side)
+   * @param {object} simulation - MuJoCo simulation object
+   * @param {object} scheduler - SimulationScheduler of the simulation
+   */
+  write(simulation, scheduler) {
+    Atomics.add(this.sequence, 0, 1);
+    this.sharedFloats[0] = scheduler.time;
+    this.sharedFloats[1] = scheduler.measuredFactor;
+    this.sharedFloats[2] = scheduler.behind ? 1 : 0;
+    this.sharedFloats[3] = scheduler.droppedTime;
+    for (const name in this.fields) { this.fields[name][0].set(simulation[name]); }
+    if (this.mirrorsContacts) {
+      const contacts = simulation.contacts();
+      const count = Math.min(contacts.length / CONTACT_SIZE, MAX_CONTACTS);
+      this.sharedContacts.set(contacts.subarray(0, count * CONTACT_SIZE));
+      this.sharedFloats[4] = count;
+    }
+    Atomics.add(this.sequence, 0, 1);
+  }
+
+  /**
+   * Copy the latest published snapshot into the local fields (reader side)
+   * @returns {boolean} whether a new snapshot was read
+   */
+  read() {
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const before = Atomics.load(this.sequence, 0);
+      if (before === this.version) { return false; }
+      if (before % 2 === 1) { continue; }
+      this.incomingFloats.set(this.sharedFloats);
+      this.incomingInts.set(this.sharedInts);
+      if (Atomics.load(this.sequence, 0) === before) {
+        this.floats.set(this.incomingFloats);
+        this.ints.set(this.incomingInts);
+        this.version = before;
+        return true;
+      }
+    }
+    return false;   // The writer kept interrupting; keep the previous snapshot.
+  }
+
+  /**
+   * Write the local snapshot's state into a simulation, e.g. to continue on the main thread
+   * @param {object} simulation - MuJoCo simulation object
+   */
+  restore(simulation) {
+    for (const name of STATE_FIELDS) { simulation[name].set(this[name]); }
+  }
+}
+
+/** @returns {number} the number of floats mirrored for `model`: statistics, fields and contacts */
+function floatSize(model) {
+  return STATS.length + sumSizes(FLOAT_FIELDS, model) + MAX_CONTACTS * CONTACT_SIZE;
+}
+
+/** @returns {number} the total size of the fields for `model` */
+function sumSizes(fields, model) {
+  return fields.reduce((total, [, size]) => total + size(model), 0);
+}
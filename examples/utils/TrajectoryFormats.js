@@ -0,0 +1,291 @@
+import { TrajectoryRecorder } from './TrajectoryRecorder.js';
+import { encodeZip, decodeZip } from './Zip.js';
+import { ModelIndex } from './ModelIndex.js';
+
+/** Reading and writing recorded trajectories (see TrajectoryRecorder).
+ *
+ *  - CSV: one row per frame, one named column per value, e.g. `time`,
+ *    `qpos:r_elbow_flex`, `qpos:object:qw`, `ctrl:BIClong`, `mocap_pos:target:x`.
+ *  - NPZ: what `numpy.savez` writes, one float64 array per field shaped
+ *    `(frames, size)` (`(frames,)` for time, `(frames, nmocap, 3|4)` for mocap poses);
+ *    read it with `numpy.load(path)["qpos"]`. Compressed archives are read too.
+ *  - MyoSuite JSON: a rollout in the layout of MyoSuite's (RoboHive) trace dicts,
+ *    `{ "Trial0": { "time", "actions", "env_infos": { "state": { "qpos", "qvel",
+ *    "act", "mocap_pos", "mocap_quat", "ctrl" } } } }`, with `actions` holding the
+ *    actuator controls. On import, ctrl is taken from `state.ctrl` only: in MyoSuite's
+ *    own rollouts `actions` are normalised policy actions, not actuator controls.
+ *
+ * Importers return `{ frames, fields }` with one flat, frame-major Float64Array per
+ * field, ready for `TrajectoryRecorder.load`. */
+
+// Suffixes of the qpos/qvel entries of each joint type (mjtJoint: free, ball, slide, hinge).
+const QPOS_SUFFIXES = { 0: ['x', 'y', 'z', 'qw', 'qx', 'qy', 'qz'], 1: ['qw', 'qx', 'qy', 'qz'], 2: [''], 3: [''] };
+const QVEL_SUFFIXES = { 0: ['vx', 'vy', 'vz', 'wx', 'wy', 'wz'], 1: ['wx', 'wy', 'wz'], 2: [''], 3: [''] };
+
+/**
+ * @param {TrajectoryRecorder} recorder - Recorder holding the trajectory
+ * @param {object} model - MuJoCo model the trajectory was recorded with; names the columns
+ * @returns {string} CSV text
+ */
+export function toCSV(recorder, model) {
+  const columns = columnNames(model);
+  const fields = TrajectoryRecorder.fields;
+  const lines = [fields.flatMap(field => columns[field]).map(quoteCSV).join(',')];
+  for (let i = 0; i < recorder.length; i++) {
+    const row = [];
+    for (const field of fields) {
+      for (const value of recorder.frame(field, i)) { row.push(value); }
+    }
+    lines.push(row.join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * @param {string} text - CSV text as written by toCSV; columns are grouped by the field before the first ':'
+ * @returns {{frames: number, fields: Object.<string, Float64Array>}}
+ */
+export function fromCSV(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim().length > 0);
+  if (lines.length < 2) { throw new Error('CSV trajectory has no frames'); }
+
+  const header = splitCSV(lines[0]);
+  const columnFields = header.map(name => name.split(':')[0]);
+  const frames = lines.length - 1;
+  const fields = {};
+  for (const field of new Set(columnFields)) {
+    if (!TrajectoryRecorder.fields.includes(field)) {
+      throw new Error(`Unknown CSV column "${header[columnFields.indexOf(field)]}"`);
+    }
+    fields[field] = new Float64Array(frames * columnFields.filter(f => f === field).length);
+  }
+
+  const offsets = {};
+  for (let row = 0; row < frames; row++) {
+    const values = splitCSV(lines[row + 1]);
+    if (values.length !== header.length) {
+      throw new Error(`CSV row ${row + 2} has ${values.length} values, the header ${header.length}`);
+    }
+    for (let column = 0; column < values.length; column++) {
+      const field = columnFields[column];
+      offsets[field] = offsets[field] || 0;
+      fields[field][offsets[field]++] = Number(values[column]);
+    }
+  }
+  return { frames, fields };
+}
+
+/**
+ * @param {TrajectoryRecorder} recorder - Recorder holding the trajectory
+ * @returns {Uint8Array} NPZ archive (uncompressed)
+ */
+export function toNPZ(recorder) {
+  const frames = recorder.length;
+  const nmocap = recorder.sizes.mocap_pos / 3;
+  const shapes = { time: [frames], mocap_pos: [frames, nmocap, 3], mocap_quat: [frames, nmocap, 4] };
+  const files = TrajectoryRecorder.fields.map(field => ({
+    name: `${field}.npy`,
+    data: encodeNPY(recorder.field(field), shapes[field] || [frames, recorder.sizes[field]])
+  }));
+  return encodeZip(files);
+}
+
+/**
+ * @param {ArrayBuffer} buffer - NPZ archive, e.g. written by numpy.savez or savez_compressed
+ * @returns {Promise<{frames: number, fields: Object.<string, Float64Array>}>}
+ */
+export async function fromNPZ(buffer) {
+  const fields = {};
+  let frames = null;
+  for (const file of await decodeZip(new Uint8Array(buffer))) {
+    const field = file.name.replace(/\.npy$/, '');
+    if (!TrajectoryRecorder.fields.includes(field)) {
+      console.warn(`[Trajectory] Ignoring unknown array "${field}" in NPZ archive`);
+      continue;
+    }
+    const { data, shape } = decodeNPY(file.data);
+    if (frames !== null && shape[0] !== frames) {
+      throw new Error(`NPZ array "${field}" has ${shape[0]} frames, the others ${frames}`);
+    }
+    frames = shape[0];
+    fields[field] = data;
+  }
+  if (frames === null) { throw new Error('NPZ archive holds no trajectory arrays'); }
+  return { frames, fields };
+}
+
+/**
+ * @param {TrajectoryRecorder} recorder - Recorder holding the trajectory
+ * @returns {string} JSON text in MyoSuite's rollout layout
+ */
+export function toMyoSuiteJSON(recorder) {
+  const rows = (field, width = recorder.sizes[field]) => Array.from({ length: recorder.length }, (_, i) => {
+    const frame = Array.from(recorder.frame(field, i));
+    return width === recorder.sizes[field] ? frame :
+      Array.from({ length: frame.length / width }, (_, j) => frame.slice(j * width, (j + 1) * width));
+  });
+  const time = Array.from(recorder.field('time'));
+  return JSON.stringify({
+    Trial0: {
+      time,
+      actions: rows('ctrl'),
+      env_infos: {
+        state: {
+          time,
+          qpos: rows('qpos'),
+          qvel: rows('qvel'),
+          act: rows('act'),
+          mocap_pos: rows('mocap_pos', 3),
+          mocap_quat: rows('mocap_quat', 4),
+          ctrl: rows('ctrl')
+        }
+      }
+    }
+  });
+}
+
+/**
+ * @param {string} text - JSON text in MyoSuite's rollout layout; the first trial is read. It
+ *   needs `env_infos.state.ctrl`, since `actions` may be normalised and cannot be replayed as controls
+ * @returns {{frames: number, fields: Object.<string, Float64Array>}}
+ */
+export function fromMyoSuiteJSON(text) {
+  const rollout = JSON.parse(text);
+  const trial = rollout.env_infos ? rollout : Object.values(rollout)[0];
+  const state = trial && trial.env_infos && trial.env_infos.state;
+  if (!state || !state.qpos) {
+    throw new Error('Expected a MyoSuite rollout with env_infos.state.qpos');
+  }
+  if (!state.ctrl) {
+    throw new Error('MyoSuite rollout has no env_infos.state.ctrl; its actions are normalised policy actions, ' +
+      'not actuator controls, so they cannot be replayed');
+  }
+
+  const frames = state.qpos.length;
+  const fields = {};
+  const sources = {
+    time: state.time || trial.time,
+    qpos: state.qpos,
+    qvel: state.qvel,
+    ctrl: state.ctrl,
+    act: state.act,
+    mocap_pos: state.mocap_pos,
+    mocap_quat: state.mocap_quat
+  };
+  for (const [field, rows] of Object.entries(sources)) {
+    if (!rows) { continue; }
+    if (rows.length !== frames) {
+      throw new Error(`MyoSuite rollout "${field}" has ${rows.length} frames, qpos ${frames}`);
+    }
+    fields[field] = Float64Array.from(rows.flat(2));
+  }
+  return { frames, fields };
+}
+
+/** CSV column names of every recorded value, per field */
+function columnNames(model) {
+  const names = ModelIndex.for(model);
+  const joints = names.list('joint').map((_, j) => names.label('joint', j));
+  const actuators = names.list('actuator').map((_, i) => names.label('actuator', i));
+  const bodies = names.list('body').map((_, b) => names.label('body', b));
+  const column = (field, name, suffix) => suffix ? `${field}:${name}:${suffix}` : `${field}:${name}`;
+
+  const columns = { time: ['time'], qpos: [], qvel: [], ctrl: [], act: [], mocap_pos: [], mocap_quat: [] };
+  for (let j = 0; j < model.njnt; j++) {
+    const type = model.jnt_type[j];
+    QPOS_SUFFIXES[type].forEach((suffix, k) => { columns.qpos[model.jnt_qposadr[j] + k] = column('qpos', joints[j], suffix); });
+    QVEL_SUFFIXES[type].forEach((suffix, k) => { columns.qvel[model.jnt_dofadr[j] + k] = column('qvel', joints[j], suffix); });
+  }
+  for (let i = 0; i < model.nu; i++) {
+    columns.ctrl.push(column('ctrl', actuators[i]));
+    const actnum = model.actuator_actnum[i];
+    for (let k = 0; k < actnum; k++) {
+      columns.act[model.actuator_actadr[i] + k] = column('act', actuators[i], actnum > 1 ? String(k) : '');
+    }
+  }
+  for (let b = 0; b < model.nbody; b++) {
+    const mocap = model.body_mocapid[b];
+    if (mocap < 0) { continue; }
+    ['x', 'y', 'z'].forEach((suffix, k) => { columns.mocap_pos[mocap * 3 + k] = column('mocap_pos', bodies[b], suffix); });
+    ['qw', 'qx', 'qy', 'qz'].forEach((suffix, k) => { columns.mocap_quat[mocap * 4 + k] = column('mocap_quat', bodies[b], suffix); });
+  }
+  return columns;
+}
+
+function quoteCSV(value) {
+  return /[",]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+function splitCSV(line) {
+  const values = [];
+  let value = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') { value += '"'; i++; }
+      else if (c === '"') { quoted = false; }
+      else { value += c; }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      values.push(value);
+      value = '';
+    } else {
+      value += c;
+    }
+  }
+  values.push(value);
+  return values;
+}
+
+/** Encode a float64 array as a version 1.0 .npy file */
+function encodeNPY(data, shape) {
+  const shapeText = shape.length === 1 ? `(${shape[0]},)` : `(${shape.join(', ')})`;
+  let header = `{'descr': '<f8', 'fortran_order': False, 'shape': ${shapeText}, }`;
+  // Magic (6) + version (2) + header length (2) + header, padded with spaces and a newline to a multiple of 64
+  header += ' '.repeat(63 - ((10 + header.length) % 64)) + '\n';
+
+  const bytes = new Uint8Array(10 + header.length + data.length * 8);
+  bytes.set([0x93, 0x4E, 0x55, 0x4D, 0x50, 0x59, 1, 0]); // \x93NUMPY 1.0
+  new DataView(bytes.buffer).setUint16(8, header.length, true);
+  bytes.set(new TextEncoder().encode(header), 10);
+  const values = new DataView(bytes.buffer, 10 + header.length);
+  for (let i = 0; i < data.length; i++) { values.setFloat64(i * 8, data[i], true); }
+  return bytes;
+}
+
+// .npy dtypes that can be read, with their DataView getter and byte size.
+const NPY_TYPES = {
+  '<f8': ['getFloat64', 8], '<f4': ['getFloat32', 4],
+  '<i8': ['getBigInt64', 8], '<i4': ['getInt32', 4], '|u1': ['getUint8', 1], '|b1': ['getUint8', 1]
+};
+
+/** Decode a C-ordered numeric .npy file into float64 values */
+function decodeNPY(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (view.getUint8(0) !== 0x93 || new TextDecoder().decode(bytes.subarray(1, 6)) !== 'NUMPY') {
+    throw new Error('Not a .npy file');
+  }
+  const major = view.getUint8(6);
+  const headerLength = major === 1 ? view.getUint16(8, true) : view.getUint32(8, true);
+  const headerStart = major === 1 ? 10 : 12;
+  const header = new TextDecoder().decode(bytes.subarray(headerStart, headerStart + headerLength));
+
+  const descr = /'descr':\s*'([^']+)'/.exec(header);
+  const shape = /'shape':\s*\(([^)]*)\)/.exec(header);
+  if (!descr || !shape || !NPY_TYPES[descr[1]]) {
+    throw new Error(`Unsupported .npy array (${header.trim()})`);
+  }
+  if (/'fortran_order':\s*True/.test(header)) {
+    throw new Error('Fortran-ordered .npy arrays are not supported');
+  }
+
+  const dims = shape[1].split(',').map(s => s.trim()).filter(s => s.length > 0).map(Number);
+  const [getter, itemSize] = NPY_TYPES[descr[1]];
+  const count = dims.reduce((a, b) => a * b, 1);
+  const dataStart = headerStart + headerLength;
+  const data = new Float64Array(count);
+  for (let i = 0; i < count; i++) { data[i] = Number(view[getter](dataStart + i * itemSize, true)); }
+  return { data, shape: dims };
+}
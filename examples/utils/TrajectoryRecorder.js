@@ -0,0 +1,186 @@
+// Simulation buffers logged per physics step: [field, size of one frame given the model].
+const FIELDS = [
+  ['time'      , (model) => 1               ],
+  ['qpos'      , (model) => model.nq        ],
+  ['qvel'      , (model) => model.nv        ],
+  ['ctrl'      , (model) => model.nu        ],
+  ['act'       , (model) => model.na        ],
+  ['mocap_pos' , (model) => model.nmocap * 3],
+  ['mocap_quat', (model) => model.nmocap * 4],
+];
+
+/** Records the simulation state after every physics step, and writes recorded
+ * frames back into a simulation for playback. Frames are stored per field in
+ * flat Float64Arrays that grow by doubling. */
+export class TrajectoryRecorder {
+  constructor() {
+    this.recording = false;
+    this.scene = null;
+    this.sizes = {};          // Field -> values per frame
+    this.data = {};           // Field -> flat Float64Array, `capacity` frames long
+    this.length = 0;          // Recorded frames
+    this.capacity = 0;
+  }
+
+  /** @returns {string[]} names of the recorded fields */
+  static get fields() {
+    return FIELDS.map(([field]) => field);
+  }
+
+  /**
+   * Discard any previous recording and start a new one with the current state as its first frame
+   * @param {object} simulation - MuJoCo simulation object
+   * @param {object} model - MuJoCo model object
+   * @param {number} time - Current simulation time (s)
+   * @param {string} scene - Scene the recording belongs to
+   */
+  start(simulation, model, time, scene) {
+    this.scene = scene;
+    this.sizes = {};
+    for (const [field, size] of FIELDS) { this.sizes[field] = size(model); }
+    this.length = 0;
+    this.allocate(1024);
+    this.recording = true;
+    this.record(simulation, time);
+  }
+
+  /**
+   * Replace the recording with imported frames (see TrajectoryFormats). Fields missing from the
+   * import are zero, except time, which advances by the model's timestep.
+   * @param {{frames: number, fields: Object.<string, Float64Array>}} trajectory - Imported frames
+   * @param {object} model - MuJoCo model the frames are for
+   * @param {string} scene - Scene the recording belongs to
+   */
+  load(trajectory, model, scene) {
+    const { frames, fields } = trajectory;
+    if (frames === 0) { throw new Error('Trajectory has no frames'); }
+    this.stop();
+    this.scene = scene;
+    this.sizes = {};
+    for (const [field, size] of FIELDS) {
+      this.sizes[field] = size(model);
+      const data = fields[field];
+      if (data && data.length !== frames * this.sizes[field]) {
+        throw new Error(`Trajectory does not match the loaded model: ${field} has ${data.length / frames} ` +
+          `values per frame, the model ${this.sizes[field]}`);
+      }
+      if (!data && field !== 'time' && this.sizes[field] > 0) {
+        console.warn(`[Recorder] Trajectory has no ${field}; using zeros`);
+      }
+    }
+
+    this.length = 0;
+    this.allocate(frames);
+    for (const [field] of FIELDS) {
+      if (fields[field]) { this.data[field].set(fields[field]); }
+    }
+    if (!fields.time) {
+      const timestep = model.getOptions().timestep;
+      for (let i = 0; i < frames; i++) { this.data.time[i] = i * timestep; }
+    }
+    this.length = frames;
+  }
+
+  /** Stop recording; the frames recorded so far are kept */
+  stop() {
+    if (this.recording) {
+      console.log(`[Recorder] Recorded ${this.length} frames (${this.duration.toFixed(3)}s)`);
+    }
+    this.recording = false;
+  }
+
+  /**
+   * Append the current state
+   * @param {object} simulation - MuJoCo simulation object
+   * @param {number} time - Current simulation time (s)
+   */
+  record(simulation, time) {
+    if (this.length === this.capacity) { this.allocate(this.capacity * 2); }
+    for (const [field] of FIELDS) {
+      const size = this.sizes[field];
+      if (size === 0) { continue; }
+      const offset = this.length * size;
+      if (field === 'time') {
+        this.data.time[offset] = time;
+      } else {
+        this.data[field].set(simulation[field], offset);
+      }
+    }
+    this.length++;
+  }
+
+  /**
+   * Write a recorded frame into the simulation; call `simulation.forward()` afterwards
+   * @param {object} simulation - MuJoCo simulation object
+   * @param {object} model - MuJoCo model object; must match the recorded model
+   * @param {number} index - Frame index
+   */
+  apply(simulation, model, index) {
+    for (const [field, size] of FIELDS) {
+      if (size(model) !== this.sizes[field]) {
+        throw new Error(`Recording does not match the loaded model (${field} has ${this.sizes[field]} values per ` +
+          `frame, the model ${size(model)}); it was recorded in ${this.scene}`);
+      }
+    }
+    for (const [field] of FIELDS) {
+      const size = this.sizes[field];
+      if (field === 'time' || size === 0) { continue; }
+      simulation[field].set(this.frame(field, index));
+    }
+  }
+
+  /**
+   * @param {string} field - Recorded field
+   * @param {number} index - Frame index
+   * @returns {Float64Array} view of the field in one frame
+   */
+  frame(field, index) {
+    const size = this.sizes[field];
+    return this.data[field].subarray(index * size, (index + 1) * size);
+  }
+
+  /**
+   * @param {string} field - Recorded field
+   * @returns {Float64Array} view of the field over all recorded frames, frame-major
+   */
+  field(field) {
+    return this.data[field].subarray(0, this.length * this.sizes[field]);
+  }
+
+  /** @returns {number} simulation time of the first frame (s) */
+  get startTime() {
+    return this.length > 0 ? this.data.time[0] : 0;
+  }
+
+  /** @returns {number} recorded span of simulation time (s) */
+  get duration() {
+    return this.length > 0 ? this.data.time[this.length - 1] - this.data.time[0] : 0;
+  }
+
+  /**
+   * @param {number} time - Time since the first frame (s)
+   * @returns {number} index of the last frame at or before `time`
+   */
+  indexAt(time) {
+    const target = this.startTime + time;
+    let low = 0;
+    let high = this.length - 1;
+    while (low < high) {
+      const middle = (low + high + 1) >> 1;
+      if (this.data.time[middle] <= target) { low = middle; } else { high = middle - 1; }
+    }
+    return low;
+  }
+
+  /** Grow the per-field storage to hold `capacity` frames */
+  allocate(capacity) {
+    for (const [field] of FIELDS) {
+      const grown = new Float64Array(capacity * this.sizes[field]);
+      if (this.data[field] && this.length > 0) {
+        grown.set(this.data[field].subarray(0, this.length * this.sizes[field]));
+      }
+      this.data[field] = grown;
+    }
+    this.capacity = capacity;
+  }
+}
@@ -0,0 +1,101 @@
+/** Minimal zip archive support: writing stored (uncompressed) archives, as for
+ * NPZ files and PNG sequences, and reading stored or deflated ones. */
+
+// CRC-32 lookup table for zip entries.
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) { c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1; }
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) { crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8); }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Write an uncompressed zip archive
+ * @param {{name: string, data: Uint8Array}[]} files - Files to store
+ * @returns {Uint8Array} the archive
+ */
+export function encodeZip(files) {
+  const encoder = new TextEncoder();
+  const entries = files.map(file => ({ ...file, nameBytes: encoder.encode(file.name), crc: crc32(file.data) }));
+  const localSize = entries.reduce((total, e) => total + 30 + e.nameBytes.length + e.data.length, 0);
+  const centralSize = entries.reduce((total, e) => total + 46 + e.nameBytes.length, 0);
+  const bytes = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(bytes.buffer);
+
+  let offset = 0;
+  for (const entry of entries) {
+    entry.offset = offset;
+    view.setUint32(offset, 0x04034B50, true);          // Local file header signature
+    view.setUint16(offset + 4, 20, true);              // Version needed to extract
+    view.setUint32(offset + 14, entry.crc, true);
+    view.setUint32(offset + 18, entry.data.length, true);
+    view.setUint32(offset + 22, entry.data.length, true);
+    view.setUint16(offset + 26, entry.nameBytes.length, true);
+    bytes.set(entry.nameBytes, offset + 30);
+    bytes.set(entry.data, offset + 30 + entry.nameBytes.length);
+    offset += 30 + entry.nameBytes.length + entry.data.length;
+  }
+
+  const centralStart = offset;
+  for (const entry of entries) {
+    view.setUint32(offset, 0x02014B50, true);          // Central directory header signature
+    view.setUint16(offset + 4, 20, true);              // Version made by
+    view.setUint16(offset + 6, 20, true);              // Version needed to extract
+    view.setUint32(offset + 16, entry.crc, true);
+    view.setUint32(offset + 20, entry.data.length, true);
+    view.setUint32(offset + 24, entry.data.length, true);
+    view.setUint16(offset + 28, entry.nameBytes.length, true);
+    view.setUint32(offset + 42, entry.offset, true);
+    bytes.set(entry.nameBytes, offset + 46);
+    offset += 46 + entry.nameBytes.length;
+  }
+
+  view.setUint32(offset, 0x06054B50, true);            // End of central directory signature
+  view.setUint16(offset + 8, entries.length, true);
+  view.setUint16(offset + 10, entries.length, true);
+  view.setUint32(offset + 12, offset - centralStart, true);
+  view.setUint32(offset + 16, centralStart, true);
+  return bytes;
+}
+
+/**
+ * Read the files of a zip archive, stored or deflated
+ * @param {Uint8Array} bytes - The archive
+ * @returns {Promise<{name: string, data: Uint8Array}[]>} the files
+ */
+export async function decodeZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let end = bytes.length - 22;
+  while (end >= 0 && view.getUint32(end, true) !== 0x06054B50) { end--; }
+  if (end < 0) { throw new Error('Not a zip archive'); }
+
+  const files = [];
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  for (let i = 0; i < count; i++) {
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = new TextDecoder().decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    let data = bytes.subarray(dataStart, dataStart + compressedSize);
+    if (method === 8) {
+      const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+      data = new Uint8Array(await new Response(stream).arrayBuffer());
+    } else if (method !== 0) {
+      throw new Error(`Unsupported zip compression method ${method} for ${name}`);
+    }
+    files.push({ name, data });
+  }
+  return files;
+}
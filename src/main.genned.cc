@@ -20,6 +20,9 @@ int finish(const char *msg = NULL, mjModel *m = NULL) {
   return 0;
 }
 
+// Strings returned by MuJoCo may be NULL, e.g. the name of an unnamed object
+std::string stringOrEmpty(const char *str) { return str ? std::string(str) : std::string(); }
+
 class Model {
 public:
   Model() { m = NULL; }
@@ -487,6 +490,29 @@ public:
     }
   }
 
+  // Number of active contacts
+  int ncon() { return _state->ptr()->ncon; }
+
+  // Active contacts, CONTACT_SIZE numbers each: pos[3], frame[9] (normal first), dist,
+  // geom1, geom2, and the force and torque in the contact frame [6] from mj_contactForce.
+  // The returned view is only valid until the next call.
+  val contacts() {
+    mjModel *m = _model->ptr();
+    mjData  *d = _state->ptr();
+    _contacts.resize(d->ncon * CONTACT_SIZE);
+    for (int i = 0; i < d->ncon; i++) {
+      const mjContact &c = d->contact[i];
+      mjtNum *out = _contacts.data() + CONTACT_SIZE * i;
+      mju_copy(out    , c.pos  , 3);
+      mju_copy(out + 3, c.frame, 9);
+      out[12] = c.dist;
+      out[13] = c.geom1;
+      out[14] = c.geom2;
+      mj_contactForce(m, d, i, out + 15);
+    }
+    return val(typed_memory_view(_contacts.size(), _contacts.data()));
+  }
+
   // MJDATA_DEFINITIONS
   val  qpos                   () const { return val(typed_memory_view(_model->ptr()->nq              * 1        , _state->ptr()->qpos                   )); }
   val  qvel                   () const { return val(typed_memory_view(_model->ptr()->nv              * 1        , _state->ptr()->qvel                   )); }
@@ -626,16 +652,16 @@ public:
   void   mulJacTVec          (val res, val vec    ) { return mj_mulJacTVec               (_model->ptr(), _state->ptr(), reinterpret_cast<mjtNum*>(res["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(vec["byteOffset"].as<int>())); }
   void   jacSubtreeCom       (val jacp, int body  ) { return mj_jacSubtreeCom            (_model->ptr(), _state->ptr(), reinterpret_cast<mjtNum*>(jacp["byteOffset"].as<int>()), body); }
   int    name2id             (int type, std::string name) { return mj_name2id                  (_model->ptr(), type, name.c_str()); }
-  std::string id2name             (int type, int id    ) { return std::string(mj_id2name                  (_model->ptr(), type, id)); }
+  std::string id2name             (int type, int id    ) { return stringOrEmpty(mj_id2name                  (_model->ptr(), type, id)); }
   void   fullM               (val dst, val M      ) { return mj_fullM                    (_model->ptr(), reinterpret_cast<mjtNum*>(dst["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(M["byteOffset"].as<int>())); }
   void   differentiatePos    (val qvel, mjtNum dt, val qpos1, val qpos2) { return mj_differentiatePos         (_model->ptr(), reinterpret_cast<mjtNum*>(qvel["byteOffset"].as<int>()), dt, reinterpret_cast<mjtNum*>(qpos1["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(qpos2["byteOffset"].as<int>())); }
   void   integratePos        (val qpos, val qvel, mjtNum dt) { return mj_integratePos             (_model->ptr(), reinterpret_cast<mjtNum*>(qpos["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(qvel["byteOffset"].as<int>()), dt); }
   void   normalizeQuat       (val qpos            ) { return mj_normalizeQuat            (_model->ptr(), reinterpret_cast<mjtNum*>(qpos["byteOffset"].as<int>())); }
   mjtNum getTotalmass        (                    ) { return mj_getTotalmass             (_model->ptr()       ); }
-  std::string getPluginConfig     (int plugin_id, std::string attrib) { return std::string(mj_getPluginConfig          (_model->ptr(), plugin_id, attrib.c_str())); }
+  std::string getPluginConfig     (int plugin_id, std::string attrib) { return stringOrEmpty(mj_getPluginConfig          (_model->ptr(), plugin_id, attrib.c_str())); }
   void   loadPluginLibrary   (std::string path    ) { return mj_loadPluginLibrary        (path.c_str()        ); }
   int    version             (                    ) { return mj_version                  (                    ); }
-  std::string versionString       (                    ) { return std::string(mj_versionString            (                    )); }
+  std::string versionString       (                    ) { return stringOrEmpty(mj_versionString            (                    )); }
   void   _rectangle          (mjrRect viewport, float r, float g, float b, float a) { return mjr_rectangle               (viewport, r, g, b, a); }
   void   _finish             (                    ) { return mjr_finish                  (                    ); }
   int    _getError           (                    ) { return mjr_getError                (                    ); }
@@ -688,10 +714,10 @@ public:
   mjtNum _clip               (mjtNum x, mjtNum min, mjtNum max) { return mju_clip                    (x, min, max         ); }
   mjtNum _sign               (mjtNum x            ) { return mju_sign                    (x                   ); }
   int    _round              (mjtNum x            ) { return mju_round                   (x                   ); }
-  std::string _type2Str           (int type            ) { return std::string(mju_type2Str                (type                )); }
+  std::string _type2Str           (int type            ) { return stringOrEmpty(mju_type2Str                (type                )); }
   int    _str2Type           (std::string str     ) { return mju_str2Type                (str.c_str()         ); }
-  std::string _writeNumBytes      (size_t nbytes       ) { return std::string(mju_writeNumBytes           (nbytes              )); }
-  std::string _warningText        (int warning, size_t info) { return std::string(mju_warningText             (warning, info       )); }
+  std::string _writeNumBytes      (size_t nbytes       ) { return stringOrEmpty(mju_writeNumBytes           (nbytes              )); }
+  std::string _warningText        (int warning, size_t info) { return stringOrEmpty(mju_warningText             (warning, info       )); }
   int    _isBad              (mjtNum x            ) { return mju_isBad                   (x                   ); }
   int    _isZero             (val vec, int n      ) { return mju_isZero                  (reinterpret_cast<mjtNum*>(vec["byteOffset"].as<int>()), n); }
   mjtNum _standardNormal     (val num2            ) { return mju_standardNormal          (reinterpret_cast<mjtNum*>(num2["byteOffset"].as<int>())); }
@@ -703,8 +729,10 @@ public:
 
 
 private:
+  static const int CONTACT_SIZE = 21;
   Model *_model;
   State *_state;
+  std::vector<mjtNum> _contacts;
 };
 
 // main function
@@ -1317,6 +1345,8 @@ EMSCRIPTEN_BINDINGS(mujoco_wasm) {
       .function("free"      , &Simulation::free      )
       .function("applyForce", &Simulation::applyForce)
       .function("applyPose" , &Simulation::applyPose )
+      .function("ncon"      , &Simulation::ncon      )
+      .function("contacts"  , &Simulation::contacts  )
       // MJDATA_BINDINGS
       .property("qpos"                  , &Simulation::qpos                  )
       .property("qvel"                  , &Simulation::qvel                  )
@@ -1566,9 +1596,9 @@ EMSCRIPTEN_BINDINGS(mujoco_wasm) {
       .field("solimp"       , &mjContact::solimp)           // constraint solver impedance
       .field("mu"           , &mjContact::mu)               // friction of regularized cone, set by mj_makeConstraint
       .field("H"            , &mjContact::H)                // cone Hessian, set by mj_updateConstraint
-      .field("dim"          , &mjContact::H)                // contact space dimensionality: 1, 3, 4 or 6
-      .field("geom1"        , &mjContact::H)                // id of geom 1
-      .field("geom2"        , &mjContact::H)                // id of geom 2
+      .field("dim"          , &mjContact::dim)              // contact space dimensionality: 1, 3, 4 or 6
+      .field("geom1"        , &mjContact::geom1)            // id of geom 1
+      .field("geom2"        , &mjContact::geom2)            // id of geom 2
       .field("exclude"      , &mjContact::exclude)          // 0: include, 1: in gap, 2: fused, 3: equality, 4: no dofs
       .field("efc_address"  , &mjContact::efc_address);     // address in efc; -1: not included, -2-i: distance constraint i
 
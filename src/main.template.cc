@@ -20,6 +20,9 @@ int finish(const char *msg = NULL, mjModel *m = NULL) {
   return 0;
 }
 
+// Strings returned by MuJoCo may be NULL, e.g. the name of an unnamed object
+std::string stringOrEmpty(const char *str) { return str ? std::string(str) : std::string(); }
+
 class Model {
 public:
   Model() { m = NULL; }
@@ -141,12 +144,37 @@ public:
     }
   }
 
+  // Number of active contacts
+  int ncon() { return _state->ptr()->ncon; }
+
+  // Active contacts, CONTACT_SIZE numbers each: pos[3], frame[9] (normal first), dist,
+  // geom1, geom2, and the force and torque in the contact frame [6] from mj_contactForce.
+  // The returned view is only valid until the next call.
+  val contacts() {
+    mjModel *m = _model->ptr();
+    mjData  *d = _state->ptr();
+    _contacts.resize(d->ncon * CONTACT_SIZE);
+    for (int i = 0; i < d->ncon; i++) {
+      const mjContact &c = d->contact[i];
+      mjtNum *out = _contacts.data() + CONTACT_SIZE * i;
+      mju_copy(out    , c.pos  , 3);
+      mju_copy(out + 3, c.frame, 9);
+      out[12] = c.dist;
+      out[13] = c.geom1;
+      out[14] = c.geom2;
+      mj_contactForce(m, d, i, out + 15);
+    }
+    return val(typed_memory_view(_contacts.size(), _contacts.data()));
+  }
+
   // MJDATA_DEFINITIONS
 
 
 private:
+  static const int CONTACT_SIZE = 21;
   Model *_model;
   State *_state;
+  std::vector<mjtNum> _contacts;
 };
 
 // main function
@@ -184,6 +212,8 @@ EMSCRIPTEN_BINDINGS(mujoco_wasm) {
       .function("free"      , &Simulation::free      )
       .function("applyForce", &Simulation::applyForce)
       .function("applyPose" , &Simulation::applyPose )
+      .function("ncon"      , &Simulation::ncon      )
+      .function("contacts"  , &Simulation::contacts  )
       // MJDATA_BINDINGS
       ;
 
@@ -221,9 +251,9 @@ EMSCRIPTEN_BINDINGS(mujoco_wasm) {
       .field("solimp"       , &mjContact::solimp)           // constraint solver impedance
       .field("mu"           , &mjContact::mu)               // friction of regularized cone, set by mj_makeConstraint
       .field("H"            , &mjContact::H)                // cone Hessian, set by mj_updateConstraint
-      .field("dim"          , &mjContact::H)                // contact space dimensionality: 1, 3, 4 or 6
-      .field("geom1"        , &mjContact::H)                // id of geom 1
-      .field("geom2"        , &mjContact::H)                // id of geom 2
+      .field("dim"          , &mjContact::dim)              // contact space dimensionality: 1, 3, 4 or 6
+      .field("geom1"        , &mjContact::geom1)            // id of geom 1
+      .field("geom2"        , &mjContact::geom2)            // id of geom 2
       .field("exclude"      , &mjContact::exclude)          // 0: include, 1: in gap, 2: fused, 3: equality, 4: no dofs
       .field("efc_address"  , &mjContact::efc_address);     // address in efc; -1: not included, -2-i: distance constraint i
 
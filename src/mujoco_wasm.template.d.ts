@@ -308,6 +308,12 @@ applyPose(bodyID: number,
           refPosX : number, refPosY : number, refPosZ : number,
           refQuat1: number, refQuat2: number, refQuat3: number, refQuat4: number,
           flg_paused: number): void;
+/** Number of active contacts */
+ncon(): number;
+/** Active contacts, 21 numbers each: pos[3], frame[9] (normal first), dist, geom1, geom2,
+ * and the force and torque in the contact frame [6] (mj_contactForce).
+ * The view is only valid until the next call. */
+contacts(): Float64Array;
 // DATA_INTERFACE
 }
 
@@ -129,7 +129,7 @@ for function in functions.FUNCTIONS:
         to_return = function.ljust(28)+"("+(", ".join(def_params)).ljust(20)
         if return_decl == "const char *":
             return_decl = "std::string"
-            to_return = "std::string(" + to_return + ")"
+            to_return = "stringOrEmpty(" + to_return + ")"
         auto_gen_lines["data_definitions"].append("  "+return_decl.ljust(6)+" "+name.ljust(20)+"("+(", ".join(def_args)).ljust(20)+") { return "+to_return+"); }")
         auto_gen_lines["data_bindings"   ].append('      .function('+('"'+name+'"').ljust(23)+' , &Simulation::'+name.ljust(22)+(')'if not need_raw_pinters else ', allow_raw_pointers())')) #<arg<mjtNum*>>
         auto_gen_lines["data_typescript" ].append("  /** "+ functions.FUNCTIONS[function].doc + ("    [Only works with MuJoCo Allocated Arrays!]" if need_raw_pinters else "") +"*/")
@@ -0,0 +1,57 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { getPosition, getQuaternion, toMujocoPos } from '../examples/utils/Coordinates.js';
+
+const EPSILON = 1e-12;
+
+describe('coordinates', () => {
+  test('getPosition maps MuJoCo z-up to three.js y-up', () => {
+    const buffer = new Float64Array([9, 9, 9, 1, 2, 3]);
+    assert.deepEqual(getPosition(buffer, 1, new THREE.Vector3()).toArray(), [1, 3, -2]);
+    assert.deepEqual(getPosition(new Float64Array([0, 0, 1]), 0, new THREE.Vector3()).toArray(), [0, 1, -0]);
+  });
+
+  test('getPosition without swizzling copies the vector', () => {
+    const buffer = new Float32Array([9, 9, 9, 1, 2, 3]);
+    assert.deepEqual(getPosition(buffer, 1, new THREE.Vector3(), false).toArray(), [1, 2, 3]);
+  });
+
+  test('toMujocoPos inverts getPosition', () => {
+    const buffer = new Float64Array([0.25, -1.5, 7]);
+    const position = toMujocoPos(getPosition(buffer, 0, new THREE.Vector3()));
+    assert.deepEqual(position.toArray(), Array.from(buffer));
+  });
+
+  test('getQuaternion rotates swizzled vectors as the MuJoCo quaternion rotates the originals', () => {
+    const vector = new THREE.Vector3(0.3, -0.7, 1.1);
+    for (const [axis, angle] of [[[0, 0, 1], Math.PI / 2], [[1, 0, 0], 0.4], [[1, -2, 0.5], -2.1]]) {
+      // MuJoCo stores quaternions as (w, x, y, z)
+      const rotation = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(...axis).normalize(), angle);
+      const buffer = new Float64Array([0, 0, 0, 0, rotation.w, rotation.x, rotation.y, rotation.z]);
+
+      const expected = getPosition(vector.clone().applyQuaternion(rotation).toArray(), 0, new THREE.Vector3());
+      const actual = getPosition(vector.toArray(), 0, new THREE.Vector3())
+        .applyQuaternion(getQuaternion(buffer, 1, new THREE.Quaternion()));
+      assertClose(actual, expected);
+    }
+  });
+
+  test('getQuaternion maps a rotation about MuJoCo z to one about three.js y', () => {
+    const buffer = new Float64Array([Math.cos(0.5), 0, 0, Math.sin(0.5)]);
+    const quaternion = getQuaternion(buffer, 0, new THREE.Quaternion());
+    const axis = new THREE.Vector3(quaternion.x, quaternion.y, quaternion.z).normalize();
+    assertClose(axis.multiplyScalar(Math.sign(axis.y)), new THREE.Vector3(0, 1, 0));
+    assertClose(new THREE.Vector3(1, 0, 0).applyQuaternion(quaternion), new THREE.Vector3(Math.cos(1), 0, -Math.sin(1)));
+  });
+
+  test('getQuaternion without swizzling copies the components in storage order', () => {
+    const buffer = new Float64Array([1, 2, 3, 4]);
+    assert.deepEqual(getQuaternion(buffer, 0, new THREE.Quaternion(), false).toArray(), [1, 2, 3, 4]);
+  });
+});
+
+/** Compare two vectors component-wise up to rounding */
+function assertClose(actual, expected) {
+  assert.ok(actual.distanceTo(expected) < EPSILON, `expected ${expected.toArray()}, got ${actual.toArray()}`);
+}
@@ -0,0 +1,60 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SCENES, skipReason, loadFreshScene } from './scenes.js';
+import { SeededRandom } from '../examples/utils/SeededRandom.js';
+
+const STEPS = 500;
+const STATE_FIELDS = ['qpos', 'qvel', 'act'];
+
+describe('determinism', () => {
+  for (const scene of SCENES) {
+    test(`${scene} gives bit-identical trajectories for identical controls`, { skip: skipReason(scene) }, async () => {
+      const first = await rollout(scene, 1234);
+      const second = await rollout(scene, 1234);
+      for (const name of STATE_FIELDS) {
+        const step = firstDifference(first[name], second[name], first.stride[name]);
+        assert.equal(step, -1, `${name} differs from step ${step} on`);
+      }
+    });
+  }
+
+  // Guards the test above against controls that have no effect
+  const scene = 'myo_sim/elbow/myo_elbow_combined.xml';
+  test(`${scene} gives different trajectories for different controls`, { skip: skipReason(scene) }, async () => {
+    const first = await rollout(scene, 1);
+    const second = await rollout(scene, 2);
+    assert.notDeepEqual(first.qpos, second.qpos);
+  });
+});
+
+/**
+ * Step a scene in its own MuJoCo module under a seeded random control sequence
+ * @returns {{qpos: Float64Array, qvel: Float64Array, act: Float64Array, stride: Object.<string, number>}}
+ *   the state after every step, concatenated
+ */
+async function rollout(scene, seed) {
+  const { model, simulation } = await loadFreshScene(scene);
+  const random = new SeededRandom(seed);
+  const trajectory = { stride: {} };
+  for (const name of STATE_FIELDS) {
+    trajectory.stride[name] = simulation[name].length;
+    trajectory[name] = new Float64Array(STEPS * simulation[name].length);
+  }
+  for (let step = 0; step < STEPS; step++) {
+    for (let i = 0; i < model.nu; i++) { simulation.ctrl[i] = random.next(); }
+    simulation.step();
+    for (const name of STATE_FIELDS) { trajectory[name].set(simulation[name], step * trajectory.stride[name]); }
+  }
+  simulation.free();
+  model.free();
+  return trajectory;
+}
+
+/** @returns {number} the first step at which the two trajectories differ in any bit, or -1 */
+function firstDifference(a, b, stride) {
+  const bitsA = new BigUint64Array(a.buffer), bitsB = new BigUint64Array(b.buffer);
+  for (let i = 0; i < bitsA.length; i++) {
+    if (bitsA[i] !== bitsB[i]) { return Math.floor(i / stride); }
+  }
+  return -1;
+}
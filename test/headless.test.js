@@ -0,0 +1,26 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { skipReason, loadFreshScene } from './scenes.js';
+import { run } from '../examples/headless.js';
+import { TrajectoryRecorder } from '../examples/utils/TrajectoryRecorder.js';
+
+const scene = 'myo_sim/elbow/myo_elbow_combined.xml';
+
+describe('headless run', () => {
+  // --keyframe resets to a keyframe whose time is not zero; the policy and the recording carry on from it
+  test('counts time from the start time it is given', { skip: skipReason(scene) }, async () => {
+    const { model, state, simulation } = await loadFreshScene(scene);
+    const timestep = model.getOptions().timestep;
+    const recorder = new TrajectoryRecorder();
+    const summary = await run(model, simulation, { steps: 10, recorder, scene, startTime: 2.0 });
+
+    const times = recorder.field('time');
+    assert.equal(times[0], 2.0);
+    assert.ok(Math.abs(times[10] - (2.0 + 10 * timestep)) < 1e-9, `the last frame is at ${times[10]}s`);
+    assert.equal(summary.time, times[10]);
+    // Simulation.free releases the Model and State wrappers, so it goes last
+    model.free();
+    state.free();
+    simulation.free();
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { PolicyBinding } from '../examples/utils/PolicyBinding.js';
+
+const MODELS_DIR = fileURLToPath(new URL('../examples/models', import.meta.url));
+const manifest = JSON.parse(fs.readFileSync(path.join(MODELS_DIR, 'manifest.json'), 'utf8'));
+
+// onnxruntime-node is an optional dependency; the binding tests need it
+const ort = await import('onnxruntime-node').then((module) => module.default || module, () => null);
+
+describe('models manifest', () => {
+  // The demo and headless.js offer every entry, so each one has to load
+  for (const entry of manifest.policies) {
+    test(`${entry.id} has its model and spec in examples/models`, () => {
+      assert.ok(fs.existsSync(path.join(MODELS_DIR, entry.model)), `${entry.model} is missing`);
+      assert.ok(fs.existsSync(path.join(MODELS_DIR, entry.spec)), `${entry.spec} is missing`);
+    });
+
+    // Deterministic and seeded stochastic sampling need the mean action and log-std outputs
+    test(`${entry.id} binds the action, log-std and value outputs of its spec`,
+      { skip: ort ? false : 'onnxruntime-node is not installed' }, async () => {
+        const spec = JSON.parse(fs.readFileSync(path.join(MODELS_DIR, entry.spec), 'utf8'));
+        const session = await ort.InferenceSession.create(path.join(MODELS_DIR, entry.model));
+        const binding = new PolicyBinding(spec, null);
+        binding.bind(session);
+        assert.ok(binding.logStdOutput, 'no log-std output');
+        assert.ok(binding.valueOutput, 'no value output');
+
+        // The action is the mean, so equal observations give equal actions
+        const feeds = { [session.inputNames[0]]: new ort.Tensor('float32', new Float32Array(spec.size).fill(0.5), [1, spec.size]) };
+        const first = await session.run(feeds);
+        const second = await session.run(feeds);
+        assert.deepEqual(first[binding.actionOutput].data, second[binding.actionOutput].data);
+        assert.equal(first[binding.actionOutput].data.length, spec.action.size);
+      });
+  }
+});
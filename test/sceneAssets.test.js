@@ -0,0 +1,181 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import load_mujoco from '../dist/mujoco_wasm.js';
+import { SceneAssets, parseSceneXML } from '../examples/utils/SceneAssets.js';
+import { SCENES, SCENES_DIR, skipReason } from './scenes.js';
+
+describe('parseSceneXML', () => {
+  test('finds includes, compiler directories and asset files, skipping comments', () => {
+    const references = parseSceneXML(`
+      <mujoco>
+        <compiler assetdir="assets" texturedir='textures'/>
+        <include file="body.xml"/>
+        <!-- <include file="unused.xml"/> -->
+        <asset>
+          <mesh name="bone" file="bone.stl" scale="1 1 1"></mesh>
+          <mesh name="box" vertex="0 0 0 1 0 0 0 1 0 0 0 1"/>
+          <texture name="sky" type="skybox" fileup="up.png" filedown="down.png"/>
+        </asset>
+      </mujoco>`);
+    assert.deepEqual(references.includes, ['body.xml']);
+    assert.deepEqual(references.directories, { meshdir: 'assets', texturedir: 'textures' });
+    assert.deepEqual(references.assets, [
+      { type: 'mesh', file: 'bone.stl' },
+      { type: 'texture', file: 'up.png' },
+      { type: 'texture', file: 'down.png' },
+    ]);
+  });
+});
+
+describe('hashes.json', () => {
+  const index = JSON.parse(fs.readFileSync(path.join(SCENES_DIR, 'index.json'), 'utf8'));
+  const hashes = JSON.parse(fs.readFileSync(path.join(SCENES_DIR, 'hashes.json'), 'utf8'));
+
+  test('lists only files of index.json', () => {
+    assert.deepEqual(Object.keys(hashes).filter((file) => !index.includes(file)), []);
+  });
+
+  // Every file needs a hash to be cached; files missing from the checkout (e.g. the .mjb
+  // files) cannot be hashed here, so generate_index.py has to run where they are
+  for (const file of index) {
+    const skip = skipReason(file) ? `${skipReason(file)}; run generate_index.py in a checkout that has it` : false;
+    test(`${file} has the hash of its contents`, { skip }, () => {
+      assert.ok(hashes[file], 'missing from hashes.json');
+      assert.equal(hashes[file], crypto.createHash('sha256').update(fs.readFileSync(path.join(SCENES_DIR, file))).digest('hex'));
+    });
+  }
+});
+
+describe('SceneAssets', () => {
+  // Serve the scenes folder from the disk, counting the requests
+  const realFetch = globalThis.fetch;
+  let requests = [];
+  let offline = false;
+  let servedHashes = null;        // Replaces hashes.json when set
+  before(() => {
+    globalThis.fetch = async (url) => {
+      if (offline) { throw new TypeError('fetch failed'); }
+      requests.push(url);
+      if (servedHashes && url.endsWith('hashes.json')) { return new Response(JSON.stringify(servedHashes)); }
+      const file = path.join(SCENES_DIR, url.slice('scenes/'.length));
+      if (!fs.existsSync(file)) { return new Response(null, { status: 404, statusText: 'Not Found' }); }
+      return new Response(fs.readFileSync(file));
+    };
+  });
+  after(() => { globalThis.fetch = realFetch; });
+
+  for (const scene of SCENES) {
+    test(`${scene} loads from only the files it needs`, { skip: skipReason(scene) }, async () => {
+      const mujoco = await loadWorkingModule();
+      const assets = new SceneAssets(mujoco, 'scenes/');
+      requests = [];
+
+      const files = await assets.load(scene);
+      assert.equal(requests.length, files.length + 2, 'each file is fetched once, after index.json and hashes.json');
+      assert.ok(files.length < assets.index.size);
+      const model = scene.endsWith('.mjb') ? mujoco.Model.load_from_mjb('/working/' + scene) : mujoco.Model.load_from_xml('/working/' + scene);
+      assert.ok(model.nbody > 1);
+      model.free();
+
+      // Loading it again finds everything in /working
+      requests = [];
+      await assets.load(scene);
+      assert.equal(requests.length, 0);
+    });
+  }
+
+  const scene = 'myo_sim/elbow/myo_elbow_combined.xml';
+  test(`${scene} is restored from the cache when offline`, { skip: skipReason(scene) }, async () => {
+    const cache = new MemoryCache();
+    const files = await new SceneAssets(await loadWorkingModule(), 'scenes/', cache).load(scene);
+    await waitFor(() => cache.files.size === files.length);
+    assert.deepEqual(cache.index.files, JSON.parse(fs.readFileSync(path.join(SCENES_DIR, 'index.json'), 'utf8')));
+
+    offline = true;
+    try {
+      const mujoco = await loadWorkingModule();
+      assert.deepEqual(await new SceneAssets(mujoco, 'scenes/', cache).load(scene), files);
+      const model = mujoco.Model.load_from_xml('/working/' + scene);
+      assert.ok(model.nbody > 1);
+      model.free();
+    } finally {
+      offline = false;
+    }
+  });
+
+  test(`${scene} is restored offline even without an entry in hashes.json`, { skip: skipReason(scene) }, async () => {
+    const cache = new MemoryCache();
+    servedHashes = JSON.parse(fs.readFileSync(path.join(SCENES_DIR, 'hashes.json'), 'utf8'));
+    delete servedHashes[scene];
+    try {
+      const files = await new SceneAssets(await loadWorkingModule(), 'scenes/', cache).load(scene);
+      await waitFor(() => cache.files.size === files.length && cache.index.learned[scene] !== undefined);
+
+      // Online, the file is downloaded again since it might have changed; offline, it comes from the cache
+      requests = [];
+      await new SceneAssets(await loadWorkingModule(), 'scenes/', cache).load(scene);
+      assert.deepEqual(requests, ['scenes/index.json', 'scenes/hashes.json', 'scenes/' + scene]);
+      offline = true;
+      const mujoco = await loadWorkingModule();
+      await new SceneAssets(mujoco, 'scenes/', cache).load(scene);
+      const model = mujoco.Model.load_from_xml('/working/' + scene);
+      assert.ok(model.nbody > 1);
+      model.free();
+    } finally {
+      servedHashes = null;
+      offline = false;
+    }
+  });
+
+  test('files that do not match their hash are not cached', { skip: skipReason(scene) }, async () => {
+    const cache = new MemoryCache();
+    const assets = new SceneAssets(await loadWorkingModule(), 'scenes/', cache);
+    await assets.loadIndex();
+    assets.hashes = { ...assets.hashes, [scene]: '0'.repeat(64) };
+    const files = await assets.load(scene);
+    await waitFor(() => cache.files.size === files.length - 1);
+    assert.equal(await cache.getFile('0'.repeat(64)), null);
+  });
+
+  test('rejects scenes that are not in the index', async () => {
+    const mujoco = await load_mujoco({ print: () => {} });
+    const assets = new SceneAssets(mujoco, 'scenes/');
+    await assert.rejects(assets.load('myo_sim/missing.xml'), /not listed/);
+  });
+});
+
+/** @returns {Promise<object>} a fresh MuJoCo module with an empty /working */
+async function loadWorkingModule() {
+  const mujoco = await load_mujoco({ print: () => {} });
+  mujoco.FS.mkdir('/working');
+  mujoco.FS.mount(mujoco.MEMFS, { root: '.' }, '/working');
+  return mujoco;
+}
+
+/** Wait for the background caching, failing after five seconds */
+async function waitFor(condition) {
+  for (let attempt = 0; attempt < 500 && !condition(); attempt++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  assert.ok(condition(), 'timed out waiting for the cache');
+}
+
+/** AssetCache with the same interface, in memory (Node has no IndexedDB) */
+class MemoryCache {
+  constructor() {
+    this.files = new Map();
+    this.index = null;
+  }
+  async getFile(hash) { return this.files.has(hash) ? this.files.get(hash) : null; }
+  async putFile(hash, bytes) { this.files.set(hash, bytes); }
+  async getIndex() { return this.index; }
+  async putIndex(index) { this.index = index; }
+  async prune(hashes) {
+    const stale = [...this.files.keys()].filter((hash) => !hashes.has(hash));
+    stale.forEach((hash) => this.files.delete(hash));
+    return stale.length;
+  }
+}
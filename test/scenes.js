@@ -0,0 +1,36 @@
+// Scenes under test: the models listed in examples/scenes/index.json, which is also
+// the list of files the demo can fetch. Included fragments (<mujocoinclude>) are not
+// scenes of their own and are left out.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadMuJoCo, loadScene } from '../examples/headless.js';
+
+export const SCENES_DIR = fileURLToPath(new URL('../examples/scenes', import.meta.url));
+
+export const SCENES = JSON.parse(fs.readFileSync(path.join(SCENES_DIR, 'index.json'), 'utf8'))
+  .filter((file) => file.endsWith('.mjb') || (file.endsWith('.xml') && !isIncludedFragment(file)));
+
+/**
+ * @param {string} scene - Scene path relative to the scenes directory
+ * @returns {string|false} why the scene's test is skipped, or false to run it
+ */
+export function skipReason(scene) {
+  return fs.existsSync(path.join(SCENES_DIR, scene)) ? false : `${scene} is not in this checkout`;
+}
+
+/**
+ * Load a scene into a fresh MuJoCo module, so a scene that aborts the module cannot fail the others
+ * @param {string} scene - Scene path relative to the scenes directory
+ * @returns {Promise<{mujoco: object, model: object, state: object, simulation: object}>}
+ */
+export async function loadFreshScene(scene) {
+  const mujoco = await loadMuJoCo(SCENES_DIR);
+  return { mujoco, ...loadScene(mujoco, scene) };
+}
+
+/** @returns {boolean} whether an XML file is meant to be included by a model rather than loaded */
+function isIncludedFragment(file) {
+  const filepath = path.join(SCENES_DIR, file);
+  return fs.existsSync(filepath) && /<mujocoinclude\b/.test(fs.readFileSync(filepath, 'utf8'));
+}
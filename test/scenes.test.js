@@ -0,0 +1,35 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SCENES, skipReason, loadFreshScene } from './scenes.js';
+
+const STEPS = 1000;
+
+describe('scenes', () => {
+  for (const scene of SCENES) {
+    test(`${scene} compiles and steps ${STEPS} times without bad values`, { skip: skipReason(scene) }, async () => {
+      const { model, simulation } = await loadFreshScene(scene);
+      assert.ok(model.nbody > 1, 'the model has no bodies besides the world');
+      assert.ok(model.getOptions().timestep > 0, 'the model has no timestep');
+
+      // Drive the actuators across their range so the muscles are exercised, not only gravity
+      for (let step = 0; step < STEPS; step++) {
+        for (let i = 0; i < model.nu; i++) { simulation.ctrl[i] = 0.5 + 0.5 * Math.sin(0.01 * step + i); }
+        simulation.step();
+        assertGood(simulation, 'qpos', step);
+        assertGood(simulation, 'qacc', step);
+      }
+      simulation.free();
+      model.free();
+    });
+  }
+});
+
+/** Fail on the first NaN, infinity or huge value (mju_isBad) in a simulation array */
+function assertGood(simulation, name, step) {
+  const values = simulation[name];
+  for (let i = 0; i < values.length; i++) {
+    if (simulation._isBad(values[i])) {
+      assert.fail(`${name}[${i}] = ${values[i]} after step ${step}`);
+    }
+  }
+}
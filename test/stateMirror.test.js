@@ -0,0 +1,48 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { skipReason, loadFreshScene } from './scenes.js';
+import { StateMirror } from '../examples/utils/StateMirror.js';
+import { SimulationScheduler } from '../examples/utils/SimulationScheduler.js';
+
+const scene = 'myo_sim/elbow/myo_elbow_combined.xml';
+
+describe('StateMirror', () => {
+  // The plots, body inspector and contact overlay read these from the mirror in worker mode
+  test(`${scene} mirrors the values the panels read`, { skip: skipReason(scene) }, async () => {
+    const { model, state, simulation } = await loadFreshScene(scene);
+    for (let step = 0; step < 20; step++) {
+      simulation.ctrl.fill(0.5);
+      simulation.step();
+    }
+    const writer = new StateMirror(model);
+    const reader = new StateMirror(model, writer.buffer);
+    const scheduler = new SimulationScheduler();
+    scheduler.time = 0.04;
+    writer.write(simulation, scheduler);
+
+    assert.equal(reader.read(), true);
+    assert.equal(reader.time, 0.04);
+    for (const name of ['qpos', 'qvel', 'act', 'ctrl', 'actuator_force', 'ten_length', 'ten_velocity', 'sensordata', 'xpos']) {
+      assert.deepEqual(Array.from(reader[name]), Array.from(simulation[name]), name);
+    }
+    assert.equal(reader.read(), false, 'the snapshot was read already');
+    assert.equal(reader.contacts, undefined, 'contacts are only mirrored when asked for');
+    model.free();
+    state.free();
+    simulation.free();
+  });
+
+  test('mirrors the contacts of builds that list them', { skip: skipReason(scene) }, async () => {
+    const { model, state, simulation } = await loadFreshScene(scene);
+    const contacts = Float64Array.from({ length: 2 * 21 }, (_, i) => i);
+    const writer = new StateMirror(model, undefined, true);
+    const reader = new StateMirror(model, writer.buffer, true);
+    writer.write(Object.assign(Object.create(simulation), { contacts: () => contacts }), new SimulationScheduler());
+
+    reader.read();
+    assert.deepEqual(reader.contacts(), contacts);
+    model.free();
+    state.free();
+    simulation.free();
+  });
+});